@@ -304,4 +304,9 @@ if (require.main === module) {
     .catch((err) => console.error("Error during organization:", err));
 }
 
-module.exports = { organizeData };
+module.exports = {
+  organizeData,
+  getBaseSubjectName,
+  isMathSubject,
+  parseUnitCode,
+};
@@ -1,30 +1,16 @@
 const { scrapeSeries, testSingleUnit } = require("./modules/scraper");
+const { DEFAULT_CONFIG, loadConfig } = require("./modules/config");
+const { runExport } = require("./modules/exporter");
+const { runQuery } = require("./modules/query");
+const { runServe } = require("./modules/server");
+const { runReport } = require("./modules/report");
+const { runPredict } = require("./modules/predict");
+const { runCalc } = require("./modules/calculator");
+const { runRollback } = require("./modules/snapshots");
+const { runCheckSite } = require("./modules/siteCheck");
 const fs = require("fs").promises;
 const path = require("path");
 
-/**
- * Parse command line arguments for subject filtering
- * @returns {Array|null} Array of subject keywords or null if none specified
- */
-function parseSubjectFilter() {
-  // Look for --subjects flag followed by comma-separated list
-  const subjectsIndex = process.argv.findIndex((arg) => arg === "--subjects");
-
-  if (subjectsIndex >= 0 && subjectsIndex < process.argv.length - 1) {
-    const subjectsArg = process.argv[subjectsIndex + 1];
-    const subjects = subjectsArg
-      .split(",")
-      .map((s) => s.trim())
-      .filter((s) => s.length > 0);
-
-    if (subjects.length > 0) {
-      return subjects;
-    }
-  }
-
-  return null;
-}
-
 /**
  * Check if we're in test mode and should run a single unit test
  */
@@ -45,49 +31,126 @@ function checkForTestMode() {
 async function main() {
   console.log("Starting Pearson Grade Conversion Scraper...");
 
+  // Build the run configuration from defaults, config file and command line
+  let config;
+  try {
+    config = await loadConfig(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   // Check for test mode
   const testMode = checkForTestMode();
   if (testMode.isTest) {
     console.log(
       `TEST MODE: Will only process ${testMode.session} / ${testMode.subject} / ${testMode.unit}`
     );
-    await testSingleUnit(testMode.session, testMode.subject, testMode.unit);
+    await testSingleUnit(
+      testMode.session,
+      testMode.subject,
+      testMode.unit,
+      config.qualifications[0],
+      config
+    );
     return;
   }
 
-  // Get subject filter
-  const subjectFilter = parseSubjectFilter();
-  if (subjectFilter) {
+  console.log(`Qualifications selected: ${config.qualifications.join(", ")}`);
+
+  // Report active filters
+  if (config.subjects.length > 0) {
     console.log(
-      `Subject filter active: Will only process subjects matching: ${subjectFilter.join(
+      `Subject filter active: Will only process subjects matching: ${config.subjects.join(
         ", "
       )}`
     );
   } else {
     console.log("No subject filter specified, will process all subjects");
   }
+  if (config.excludeSubjects.length > 0) {
+    console.log(
+      `Excluding subjects matching: ${config.excludeSubjects.join(", ")}`
+    );
+  }
+  if (config.sessions.length > 0 || config.excludeSessions.length > 0) {
+    console.log(
+      `Session filter active: include [${config.sessions.join(
+        ", "
+      )}], exclude [${config.excludeSessions.join(", ")}]`
+    );
+  }
+  if (config.fromYear || config.toYear) {
+    console.log(
+      `Year range active: ${config.fromYear || "earliest"} to ${
+        config.toYear || "latest"
+      }`
+    );
+  }
+  if (config.units.length > 0 || config.excludeUnits.length > 0) {
+    console.log(
+      `Unit filter active: include [${config.units.join(
+        ", "
+      )}], exclude [${config.excludeUnits.join(", ")}]`
+    );
+  }
 
   console.log(
-    "This will scrape all available exam sessions, subjects, and units"
+    `Using ${config.concurrency} worker page(s), with at least ${config.rateLimit} ms between page actions`
   );
-  console.log("Data will be saved to the 'data' directory");
+
+  if (config.retryFailed) {
+    console.log(
+      "Retry mode: will only re-attempt units that failed in previous runs"
+    );
+  } else if (config.refresh) {
+    console.log(
+      "Refresh mode: will re-fetch completed units and keep new versions of any that changed"
+    );
+  } else {
+    console.log(
+      "This will scrape all available exam sessions, subjects, and units"
+    );
+  }
+  if (config.replay) {
+    console.log(
+      `Replay mode: answering every request from the recording in ${config.replay}`
+    );
+  } else if (config.baseUrl !== DEFAULT_CONFIG.baseUrl) {
+    console.log(`Scraping the wizard at ${config.baseUrl}`);
+  }
+  if (config.siteProfile) {
+    console.log(
+      typeof config.siteProfile === "string"
+        ? `Using the site profile in ${config.siteProfile}`
+        : "Using the site profile from the config file"
+    );
+  }
+  if (config.record) {
+    console.log(
+      `Record mode: saving pages, network responses and screenshots to ${config.record}`
+    );
+  }
+  const dataDir = path.join(
+    config.outputDir
+      ? path.resolve(config.outputDir)
+      : config.replay
+        ? path.join(path.resolve(config.replay), "replay-output")
+        : __dirname,
+    "data"
+  );
+  console.log(`Data will be saved to ${dataDir}`);
 
   try {
     // Create base directories
-    const dataDir = path.join(__dirname, "data");
     try {
       await fs.mkdir(dataDir, { recursive: true });
     } catch (err) {
       // Directory already exists, ignore
     }
 
-    // Override the FILTER_SUBJECTS constant if provided on command line
-    if (subjectFilter) {
-      global.FILTER_SUBJECTS = subjectFilter;
-    }
-
     // Run the scraper
-    await scrapeSeries();
+    await scrapeSeries(config);
 
     console.log("Scraping completed successfully!");
   } catch (error) {
@@ -96,5 +159,37 @@ async function main() {
   }
 }
 
+// Subcommands that work on already scraped data or check the site, by first argument
+const COMMANDS = {
+  export: runExport,
+  query: runQuery,
+  serve: runServe,
+  report: runReport,
+  predict: runPredict,
+  calc: runCalc,
+  rollback: runRollback,
+  "check-site": runCheckSite,
+  doctor: runCheckSite,
+};
+
+/**
+ * Run a subcommand, exiting with an error status if it fails
+ * @param {string} name - Subcommand name
+ * @param {Array} argv - Arguments after the subcommand name
+ */
+async function runCommand(name, argv) {
+  try {
+    await COMMANDS[name](argv);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
 // Start the process
-main();
+const command = process.argv[2];
+if (COMMANDS[command]) {
+  runCommand(command, process.argv.slice(3));
+} else {
+  main();
+}
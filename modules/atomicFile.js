@@ -0,0 +1,60 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Get a temporary path next to a file, unique to this write
+ * Being in the same directory keeps the final rename on one filesystem, where it is atomic
+ * @param {string} filePath - Final file path
+ * @returns {string} - Temporary file path
+ */
+function tempPath(filePath) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString("hex")}`;
+  return path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${suffix}.tmp`
+  );
+}
+
+/**
+ * Write a file to a temporary path and flush it to disk
+ * @param {string} filePath - Temporary file path
+ * @param {string|Buffer} contents - File contents
+ */
+async function writeAndSync(filePath, contents) {
+  const handle = await fs.open(filePath, "w");
+  try {
+    await handle.writeFile(contents, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write a file so that readers only ever see the old or the new contents
+ * The contents go to a temporary file which is then renamed over the target,
+ * so a process killed mid-write leaves the previous file intact
+ * @param {string} filePath - File to write
+ * @param {string|Buffer} contents - File contents
+ * @param {Object} options - Write options
+ * @param {boolean} options.exclusive - Fail with EEXIST instead of replacing an existing file
+ */
+async function writeFileAtomic(filePath, contents, { exclusive = false } = {}) {
+  const temp = tempPath(filePath);
+  try {
+    await writeAndSync(temp, contents);
+    if (exclusive) {
+      // Linking fails if the target exists, where rename would replace it
+      await fs.link(temp, filePath);
+    } else {
+      await fs.rename(temp, filePath);
+    }
+  } finally {
+    await fs.rm(temp, { force: true });
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+};
@@ -0,0 +1,163 @@
+const puppeteer = require("puppeteer");
+
+// Error messages Puppeteer gives when the page's target, session or frame has gone away
+// Other protocol errors (e.g. a failed evaluate) leave the page usable; crashes and
+// disconnects are caught by isBrowserFailure's own checks
+const BROWSER_FAILURE_PATTERN =
+  /Target closed|Session closed|Connection closed|detached Frame/i;
+
+// Console lines kept per page for failure diagnostics; older lines are dropped
+const CONSOLE_LOG_LIMIT = 200;
+
+/**
+ * Owns the Puppeteer browser for a run and replaces it, or its pages, when they die
+ */
+class BrowserSession {
+  /**
+   * @param {Object} launchOptions - Options passed to puppeteer.launch
+   * @param {Function} setupPage - Optional async function run on every new page (e.g. to record it)
+   */
+  constructor(launchOptions, setupPage = null) {
+    this.launchOptions = launchOptions;
+    this.setupPage = setupPage;
+    this.browser = null;
+    this.relaunching = null;
+    this.relaunches = 0;
+    this.crashedPages = new WeakSet();
+    // Recent console lines of each page, newest last
+    this.consoleLogs = new WeakMap();
+  }
+
+  /**
+   * Launch the browser
+   */
+  async launch() {
+    this.browser = await puppeteer.launch(this.launchOptions);
+    this.browser.on("disconnected", () => {
+      console.warn("Browser disconnected");
+    });
+  }
+
+  /**
+   * Get a connected browser, relaunching it if it has crashed or disconnected
+   * Concurrent callers share a single relaunch
+   * @returns {Browser} - Puppeteer browser
+   */
+  async ensureBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.relaunching) {
+      this.relaunching = (async () => {
+        console.warn("Browser is no longer running, relaunching...");
+        try {
+          if (this.browser) await this.browser.close();
+        } catch (closeError) {
+          // Browser process is already gone
+        }
+        await this.launch();
+        this.relaunches++;
+        console.log(`Browser relaunched (${this.relaunches} so far this run)`);
+      })().finally(() => {
+        this.relaunching = null;
+      });
+    }
+
+    await this.relaunching;
+    return this.browser;
+  }
+
+  /**
+   * Open a new page, relaunching the browser first if needed
+   * @param {string} label - Prefix for console messages from the page
+   * @returns {Page} - Puppeteer page
+   */
+  async newPage(label) {
+    const browser = await this.ensureBrowser();
+    const page = await browser.newPage();
+
+    // Enable console logging from the page, keeping the latest lines for diagnostics
+    const consoleLog = [];
+    this.consoleLogs.set(page, consoleLog);
+    page.on("console", (msg) => {
+      console.log(`${label}: ${msg.text()}`);
+      consoleLog.push(
+        `${new Date().toISOString()} ${msg.type()}: ${msg.text()}`
+      );
+      if (consoleLog.length > CONSOLE_LOG_LIMIT) consoleLog.shift();
+    });
+
+    // Remember pages whose renderer crashed so callers can replace them
+    page.on("error", (error) => {
+      console.error(`${label}: page crashed: ${error.message}`);
+      this.crashedPages.add(page);
+    });
+
+    if (this.setupPage) {
+      await this.setupPage(page);
+    }
+
+    return page;
+  }
+
+  /**
+   * Get the recent console output of a page opened by this session
+   * @param {Page} page - Puppeteer page
+   * @returns {Array} - Timestamped console lines, oldest first
+   */
+  consoleLog(page) {
+    return [...(this.consoleLogs.get(page) || [])];
+  }
+
+  /**
+   * Close a dead or suspect page and open a fresh one in its place
+   * @param {Page} page - Page to replace
+   * @param {string} label - Prefix for console messages from the new page
+   * @returns {Page} - The new page
+   */
+  async replacePage(page, label) {
+    try {
+      if (page && !page.isClosed() && this.browser.isConnected()) {
+        await page.close();
+      }
+    } catch (closeError) {
+      // Page is already unusable
+    }
+    return this.newPage(label);
+  }
+
+  /**
+   * Check whether an error means the browser or page died, rather than the site misbehaving
+   * @param {Error} error - Error thrown while using the page
+   * @param {Page} page - Page that was in use
+   * @returns {boolean} - Whether the page should be replaced
+   */
+  isBrowserFailure(error, page) {
+    if (!this.browser || !this.browser.isConnected()) {
+      return true;
+    }
+    if (page && (page.isClosed() || this.crashedPages.has(page))) {
+      return true;
+    }
+    try {
+      if (page && page.mainFrame().detached) {
+        return true;
+      }
+    } catch (frameError) {
+      return true;
+    }
+    return BROWSER_FAILURE_PATTERN.test((error && error.message) || "");
+  }
+
+  /**
+   * Close the browser
+   */
+  async close() {
+    if (this.browser && this.browser.isConnected()) {
+      await this.browser.close();
+    }
+  }
+}
+
+module.exports = BrowserSession;
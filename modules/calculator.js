@@ -0,0 +1,452 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { parseCommandArgs, readConfigFile } = require("./config");
+const { resolveSourceDir, loadUnits } = require("./dataStore");
+const { findUnit, lookupRaw } = require("./query");
+const { getBaseSubjectName, isMathSubject } = require("../file_processor");
+
+const USAGE =
+  'Usage: node index.js calc "<unit code>,<session>,<raw mark>" ... [--file <entries.json|entries.csv>] [--rules <rules.json>] [--source <dir>] [--json]';
+
+const APPLIED_MATHS = [
+  "WME01",
+  "WME02",
+  "WME03",
+  "WST01",
+  "WST02",
+  "WST03",
+  "WDM11",
+];
+
+// Aggregation rules, overridable with --rules. Thresholds are percentages of the maximum
+// UMS; A* needs an overall A and astarA2Percent on the qualification's a2 units. Each
+// IAS/IAL rule takes every required unit plus the best optionalCount of the optional units,
+// and an optional unit counts towards only the first qualification of its family that uses it.
+// Qualifications are grouped by the subject folders organizeData writes.
+const DEFAULT_RULES = {
+  thresholds: { A: 80, B: 70, C: 60, D: 50, E: 40 },
+  astarA2Percent: 90,
+  subjects: {
+    Physics: [
+      {
+        name: "Physics",
+        ias: { required: ["WPH11", "WPH12", "WPH13"] },
+        ial: {
+          required: ["WPH11", "WPH12", "WPH13", "WPH14", "WPH15", "WPH16"],
+        },
+        a2: ["WPH14", "WPH15", "WPH16"],
+      },
+    ],
+    Chemistry: [
+      {
+        name: "Chemistry",
+        ias: { required: ["WCH11", "WCH12", "WCH13"] },
+        ial: {
+          required: ["WCH11", "WCH12", "WCH13", "WCH14", "WCH15", "WCH16"],
+        },
+        a2: ["WCH14", "WCH15", "WCH16"],
+      },
+    ],
+    Biology: [
+      {
+        name: "Biology",
+        ias: { required: ["WBI11", "WBI12", "WBI13"] },
+        ial: {
+          required: ["WBI11", "WBI12", "WBI13", "WBI14", "WBI15", "WBI16"],
+        },
+        a2: ["WBI14", "WBI15", "WBI16"],
+      },
+    ],
+    Economics: [
+      {
+        name: "Economics",
+        ias: { required: ["WEC11", "WEC12"] },
+        ial: { required: ["WEC11", "WEC12", "WEC13", "WEC14"] },
+        a2: ["WEC13", "WEC14"],
+      },
+    ],
+    Business: [
+      {
+        name: "Business",
+        ias: { required: ["WBS11", "WBS12"] },
+        ial: { required: ["WBS11", "WBS12", "WBS13", "WBS14"] },
+        a2: ["WBS13", "WBS14"],
+      },
+    ],
+    Accounting: [
+      {
+        name: "Accounting",
+        ias: { required: ["WAC11"] },
+        ial: { required: ["WAC11", "WAC12"] },
+        a2: ["WAC12"],
+      },
+    ],
+    // Maths subjects share one folder (see isMathSubject), so their qualifications are listed together
+    Mathematics: [
+      {
+        name: "Mathematics",
+        ias: {
+          required: ["WMA11", "WMA12"],
+          optional: ["WME01", "WST01", "WDM11"],
+          optionalCount: 1,
+        },
+        ial: {
+          required: ["WMA11", "WMA12", "WMA13", "WMA14"],
+          optional: APPLIED_MATHS,
+          optionalCount: 2,
+        },
+        a2: ["WMA13", "WMA14"],
+      },
+      {
+        name: "Further Mathematics",
+        ias: {
+          required: ["WFM01"],
+          optional: ["WFM02", ...APPLIED_MATHS],
+          optionalCount: 2,
+        },
+        ial: {
+          required: ["WFM01"],
+          optional: ["WFM02", "WFM03", ...APPLIED_MATHS],
+          optionalCount: 5,
+        },
+        a2: ["WFM02", "WFM03"],
+      },
+      {
+        name: "Pure Mathematics",
+        ias: { required: ["WMA11", "WMA12", "WFM01"] },
+        ial: {
+          required: ["WMA11", "WMA12", "WMA13", "WMA14", "WFM01", "WFM02"],
+        },
+        a2: ["WMA13", "WMA14", "WFM02"],
+      },
+    ],
+  },
+};
+
+/**
+ * Get the subject family a stored subject belongs to
+ * @param {string} subject - Subject name (e.g. "Physics (2018)" or "Further Mathematics")
+ * @returns {string} - Family name used by the rules (e.g. "Physics" or "Mathematics")
+ */
+function subjectFamily(subject) {
+  const folderName = getBaseSubjectName(subject.replace(/\s+/g, "_"));
+  return isMathSubject(folderName)
+    ? "Mathematics"
+    : folderName.replace(/_/g, " ");
+}
+
+/**
+ * Get the unit code without its paper number (e.g. WPH11-01 -> WPH11)
+ * @param {string} unitCode - Unit code
+ * @returns {string} - Base unit code
+ */
+function baseCode(unitCode) {
+  return unitCode.split("-")[0];
+}
+
+/**
+ * Parse one "unit code,session,raw mark" entry
+ * @param {string} text - Entry text
+ * @returns {Object} - { unit, session, raw }
+ */
+function parseEntry(text) {
+  const parts = text.split(",").map((part) => part.trim());
+  if (parts.length !== 3 || !/^\d+$/.test(parts[2])) {
+    throw new Error(
+      `Could not read entry "${text}", expected "<unit code>,<session>,<raw mark>"`
+    );
+  }
+  return { unit: parts[0], session: parts[1], raw: parts[2] };
+}
+
+/**
+ * Read entries from a JSON array of { unit, session, raw } or from CSV lines
+ * @param {string} filePath - Entries file
+ * @returns {Array} - Entries
+ */
+async function readEntriesFile(filePath) {
+  const contents = await fs.readFile(filePath, "utf8");
+
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    const entries = JSON.parse(contents);
+    if (!Array.isArray(entries)) {
+      throw new Error(`${filePath} must contain an array of entries`);
+    }
+    return entries.map((entry) => ({
+      unit: String(entry.unit),
+      session: String(entry.session),
+      raw: String(entry.raw),
+    }));
+  }
+
+  return contents
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !/^unit\s*,/i.test(line))
+    .map(parseEntry);
+}
+
+/**
+ * Look up the UMS of each entry from the stored conversion tables
+ * @param {Array} units - Units from loadUnits
+ * @param {Array} entries - Entries as { unit, session, raw }
+ * @returns {Array} - Results as { unitCode, baseCode, session, family, raw, ums, maxUms, grade }
+ */
+function lookupEntries(units, entries) {
+  return entries.map((entry) => {
+    const unit = findUnit(units, entry.unit, entry.session);
+    const row = lookupRaw(unit, parseInt(entry.raw, 10));
+    return {
+      unitCode: unit.unitCode,
+      baseCode: baseCode(unit.unitCode),
+      session: unit.session,
+      family: subjectFamily(unit.subject),
+      raw: row.RAW,
+      ums: row.UMS,
+      maxUms: unit.summary.maxUms,
+      grade: row.GRADE,
+    };
+  });
+}
+
+/**
+ * Get the grade for a percentage of the maximum UMS
+ * @param {number} percent - Percentage of the maximum UMS
+ * @param {Object} thresholds - Minimum percentage for each grade
+ * @returns {string} - Grade, or U below every threshold
+ */
+function gradeFor(percent, thresholds) {
+  const passed = Object.entries(thresholds)
+    .sort(([, a], [, b]) => b - a)
+    .find(([, minimum]) => percent >= minimum);
+  return passed ? passed[0] : "U";
+}
+
+/**
+ * Pick the results a rule counts: every required unit and the best optional ones
+ * @param {Object} rule - { required, optional, optionalCount }
+ * @param {Map} best - Best result for each base unit code
+ * @param {Set} taken - Optional units already counted towards another qualification
+ * @returns {Object} - { results, chosen, missing } where chosen are the optional units
+ * counted and missing describes what is still needed
+ */
+function selectUnits(rule, best, taken = new Set()) {
+  const required = rule.required || [];
+  const optional = rule.optional || [];
+  const optionalCount = rule.optionalCount || 0;
+
+  const results = required
+    .filter((code) => best.has(code))
+    .map((code) => best.get(code));
+  const missing = required.filter((code) => !best.has(code));
+
+  const chosen = optional
+    .filter(
+      (code) => best.has(code) && !required.includes(code) && !taken.has(code)
+    )
+    .map((code) => best.get(code))
+    .sort((a, b) => b.ums - a.ums)
+    .slice(0, optionalCount);
+  results.push(...chosen);
+  if (chosen.length < optionalCount) {
+    missing.push(
+      `${optionalCount - chosen.length} more of ${optional.join("/")}`
+    );
+  }
+
+  return { results, chosen, missing };
+}
+
+/**
+ * Get the units whose UMS decides an A*
+ * Rules without an a2 list use the IAL units the IAS does not require
+ * @param {Object} qualification - Qualification rule
+ * @returns {Array} - Base unit codes
+ */
+function a2Units(qualification) {
+  if (qualification.a2) return qualification.a2;
+  const iasRequired = qualification.ias.required || [];
+  return (qualification.ial.required || []).filter(
+    (code) => !iasRequired.includes(code)
+  );
+}
+
+/**
+ * Total the UMS of a set of results
+ * @param {Array} results - Unit results
+ * @returns {Object} - { ums, maxUms, percent }
+ */
+function total(results) {
+  const ums = results.reduce((sum, result) => sum + result.ums, 0);
+  const maxUms = results.reduce((sum, result) => sum + result.maxUms, 0);
+  return {
+    ums,
+    maxUms,
+    percent: maxUms > 0 ? Math.round((ums / maxUms) * 1000) / 10 : 0,
+  };
+}
+
+/**
+ * Aggregate unit results into IAS and IAL grades for each qualification they belong to
+ * When a unit was taken more than once, its best UMS counts
+ * @param {Array} results - Results from lookupEntries
+ * @param {Object} rules - Aggregation rules (see DEFAULT_RULES)
+ * @returns {Array} - Qualification results as { name, family, ias, ial }
+ */
+function aggregate(results, rules = DEFAULT_RULES) {
+  const qualifications = [];
+  const families = [...new Set(results.map((result) => result.family))];
+
+  for (const family of families) {
+    const best = new Map();
+    for (const result of results.filter((entry) => entry.family === family)) {
+      const previous = best.get(result.baseCode);
+      if (!previous || result.ums > previous.ums) {
+        best.set(result.baseCode, result);
+      }
+    }
+
+    // Optional units counted by an earlier qualification (e.g. an applied unit used
+    // for Mathematics) cannot count again towards a later one (e.g. Further Mathematics)
+    const taken = new Set();
+
+    for (const qualification of rules.subjects[family] || []) {
+      // Only report qualifications that one of their required units was entered for
+      const required = [
+        ...(qualification.ias.required || []),
+        ...(qualification.ial.required || []),
+      ];
+      if (!required.some((code) => best.has(code))) continue;
+
+      const ias = selectUnits(qualification.ias, best, taken);
+      const iasTotal = total(ias.results);
+
+      const ial = selectUnits(qualification.ial, best, taken);
+      const ialTotal = total(ial.results);
+      const a2Codes = a2Units(qualification);
+      const a2Total = total(
+        ial.results.filter((result) => a2Codes.includes(result.baseCode))
+      );
+
+      for (const result of [...ias.chosen, ...ial.chosen]) {
+        taken.add(result.baseCode);
+      }
+
+      let ialGrade = null;
+      if (ial.missing.length === 0) {
+        ialGrade = gradeFor(ialTotal.percent, rules.thresholds);
+        if (ialGrade === "A" && a2Total.percent >= rules.astarA2Percent) {
+          ialGrade = "A*";
+        }
+      }
+
+      qualifications.push({
+        name: qualification.name,
+        family,
+        ias: {
+          ...iasTotal,
+          units: ias.results.map((result) => result.unitCode),
+          missing: ias.missing,
+          grade:
+            ias.missing.length === 0
+              ? gradeFor(iasTotal.percent, rules.thresholds)
+              : null,
+        },
+        ial: {
+          ...ialTotal,
+          a2Percent: a2Total.percent,
+          units: ial.results.map((result) => result.unitCode),
+          missing: ial.missing,
+          grade: ialGrade,
+        },
+      });
+    }
+  }
+
+  return qualifications;
+}
+
+/**
+ * Load the aggregation rules, with a rules file overriding the defaults key by key
+ * @param {string} filePath - Rules file, if any
+ * @returns {Object} - Aggregation rules
+ */
+async function loadRules(filePath) {
+  if (!filePath) return DEFAULT_RULES;
+
+  const overrides = await readConfigFile(filePath, true);
+  return {
+    thresholds: overrides.thresholds || DEFAULT_RULES.thresholds,
+    astarA2Percent:
+      overrides.astarA2Percent === undefined
+        ? DEFAULT_RULES.astarA2Percent
+        : overrides.astarA2Percent,
+    subjects: { ...DEFAULT_RULES.subjects, ...overrides.subjects },
+  };
+}
+
+/**
+ * Describe an IAS or IAL result for the terminal
+ * @param {string} label - "IAS" or "IAL"
+ * @param {Object} result - IAS or IAL result from aggregate()
+ * @returns {string} - Result line
+ */
+function describeResult(label, result) {
+  const totals = `${result.ums}/${result.maxUms} UMS (${result.percent}%)`;
+  return result.grade
+    ? `  ${label}: ${totals} - grade ${result.grade}`
+    : `  ${label}: ${totals} so far - needs ${result.missing.join(", ")}`;
+}
+
+/**
+ * Run the calc command
+ * @param {Array} argv - Arguments after "calc"
+ */
+async function runCalc(argv) {
+  const { options, positionals } = parseCommandArgs(argv, {
+    values: { "--file": "file", "--rules": "rules", "--source": "source" },
+    booleans: { "--json": "json" },
+  });
+
+  const entries = positionals.map(parseEntry);
+  if (options.file) {
+    entries.push(...(await readEntriesFile(path.resolve(options.file))));
+  }
+  if (entries.length === 0) {
+    throw new Error(USAGE);
+  }
+
+  const rules = await loadRules(options.rules);
+  const units = await loadUnits(await resolveSourceDir(options.source));
+  const results = lookupEntries(units, entries);
+  const qualifications = aggregate(results, rules);
+
+  if (options.json) {
+    console.log(JSON.stringify({ units: results, qualifications }, null, 2));
+    return;
+  }
+
+  console.log("Unit results:");
+  for (const result of results) {
+    console.log(
+      `  ${result.unitCode} ${result.session}: RAW ${result.raw} -> ${result.ums}/${result.maxUms} UMS (${result.grade})`
+    );
+  }
+
+  if (qualifications.length === 0) {
+    console.log("\nThese units do not count towards any known qualification");
+    return;
+  }
+  for (const qualification of qualifications) {
+    console.log(`\n${qualification.name}`);
+    console.log(describeResult("IAS", qualification.ias));
+    console.log(describeResult("IAL", qualification.ial));
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  lookupEntries,
+  aggregate,
+  runCalc,
+};
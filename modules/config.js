@@ -0,0 +1,529 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Config file picked up automatically when --config is not given
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "scraper.config.json");
+
+// Default run configuration, overridden by the config file and then the command line
+const DEFAULT_CONFIG = {
+  // Qualification families to scrape, or ["all"] for every family in step 1
+  qualifications: ["International A Level"],
+  // Only scrape subjects matching these patterns (empty to scrape all subjects)
+  subjects: [
+    "Physics",
+    "Chemistry",
+    "Biology",
+    "Mathematics",
+    "Further Mathematics",
+    "Pure Mathematics",
+    "Accounting",
+    "Economics",
+    "Business",
+  ],
+  excludeSubjects: [],
+  sessions: [],
+  excludeSessions: [],
+  units: [],
+  excludeUnits: [],
+  // Inclusive year bounds for exam sessions (null for no bound)
+  fromYear: null,
+  toYear: null,
+  // Number of browser pages scraping units at the same time
+  concurrency: 1,
+  // Minimum milliseconds between page actions across all pages
+  rateLimit: 1000,
+  // Extra attempts for a failing unit within a run, and the first backoff delay in ms
+  retries: 2,
+  retryDelay: 2000,
+  // Only re-attempt units that failed in previous runs
+  retryFailed: false,
+  // Re-fetch completed units, keeping a new version only when their data changed
+  refresh: false,
+  // Page hosting the grade conversion wizard; point it at a local mock to run offline
+  baseUrl:
+    "https://qualifications.pearson.com/en/support/support-topics/results-certification/understanding-marks-and-grades/converting-marks-points-and-grades.html",
+  // Directory that data/, quarantine/ and snapshots/ are written under (null for the project directory)
+  outputDir: null,
+  // Extra Chromium switches for the scraping browser (e.g. ["--no-sandbox"] in containers)
+  browserArgs: [],
+  // Directory to record the run's pages and network responses into (see modules/recorder.js)
+  record: null,
+  // Directory of a recording to answer every request from instead of the live site
+  replay: null,
+  // Site profile with the wizard's selectors and session pattern: a JSON file, or the
+  // profile's values in the config file (null for profiles/pearson.json; see modules/siteProfile.js)
+  siteProfile: null,
+  // Condition-based wait timings in milliseconds (see modules/navigation.js)
+  waits: {
+    timeout: 30000,
+    pollInterval: 250,
+    settleTime: 750,
+  },
+};
+
+// Command line flags that take a comma-separated list, mapped to config keys
+const LIST_OPTIONS = {
+  "--qualifications": "qualifications",
+  "--subjects": "subjects",
+  "--exclude-subjects": "excludeSubjects",
+  "--sessions": "sessions",
+  "--exclude-sessions": "excludeSessions",
+  "--units": "units",
+  "--exclude-units": "excludeUnits",
+};
+
+// Command line flags that take a year, mapped to config keys
+const YEAR_OPTIONS = {
+  "--from": "fromYear",
+  "--to": "toYear",
+};
+
+// Command line flags that take a whole number, mapped to config keys
+const NUMBER_OPTIONS = {
+  "--concurrency": "concurrency",
+  "--rate-limit": "rateLimit",
+  "--retries": "retries",
+  "--retry-delay": "retryDelay",
+};
+
+// Command line flags that take a single text value, mapped to config keys
+const STRING_OPTIONS = {
+  "--base-url": "baseUrl",
+  "--output-dir": "outputDir",
+  "--record": "record",
+  "--replay": "replay",
+  "--site-profile": "siteProfile",
+};
+
+// Command line flags that switch an option on, mapped to config keys
+const BOOLEAN_OPTIONS = {
+  "--retry-failed": "retryFailed",
+  "--refresh": "refresh",
+};
+
+// Command line flags that set a wait timing, mapped to keys of config.waits
+const WAIT_OPTIONS = {
+  "--wait-timeout": "timeout",
+  "--poll-interval": "pollInterval",
+  "--settle-time": "settleTime",
+};
+
+/**
+ * Split a comma-separated command line value into a list
+ * @param {string} value - Raw argument value
+ * @returns {Array} - Trimmed, non-empty values
+ */
+function splitList(value) {
+  return value
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+}
+
+/**
+ * Parse a four-digit year option
+ * @param {string} name - Option name, for the error message
+ * @param {string|number} value - Value to parse
+ * @returns {number} - The year
+ */
+function parseYear(name, value) {
+  if (!/^\d{4}$/.test(String(value).trim())) {
+    throw new Error(`${name} must be a four-digit year, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a whole-number option
+ * @param {string} name - Option name, for the error message
+ * @param {string|number} value - Value to parse
+ * @param {number} min - Smallest allowed value
+ * @returns {number} - The number
+ */
+function parseWholeNumber(name, value, min) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`${name} must be a whole number of at least ${min}`);
+  }
+  return number;
+}
+
+/**
+ * Parse run options from command line arguments
+ * Unknown options and stray arguments are rejected so a misspelt flag cannot
+ * silently widen a run
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Config values given on the command line
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const key = LIST_OPTIONS[argv[i]];
+    const value = argv[i + 1];
+
+    if (BOOLEAN_OPTIONS[argv[i]]) {
+      options[BOOLEAN_OPTIONS[argv[i]]] = true;
+    } else if (key && value !== undefined && !value.startsWith("--")) {
+      const values = splitList(value);
+      if (values.length > 0) {
+        options[key] = values;
+      }
+      i++;
+    } else if (YEAR_OPTIONS[argv[i]] && value !== undefined) {
+      options[YEAR_OPTIONS[argv[i]]] = parseYear(argv[i], value);
+      i++;
+    } else if (NUMBER_OPTIONS[argv[i]] && value !== undefined) {
+      options[NUMBER_OPTIONS[argv[i]]] = value;
+      i++;
+    } else if (STRING_OPTIONS[argv[i]] && value !== undefined) {
+      options[STRING_OPTIONS[argv[i]]] = value;
+      i++;
+    } else if (WAIT_OPTIONS[argv[i]] && value !== undefined) {
+      options.waits = { ...options.waits, [WAIT_OPTIONS[argv[i]]]: value };
+      i++;
+    } else if (argv[i] === "--config" && value !== undefined) {
+      options.configFile = value;
+      i++;
+    } else if (argv[i] === "--test") {
+      // Session, subject and unit of a single-unit test run, read by index.js
+      i += 3;
+    } else if (argv[i].startsWith("--")) {
+      const known = [
+        LIST_OPTIONS,
+        YEAR_OPTIONS,
+        NUMBER_OPTIONS,
+        STRING_OPTIONS,
+        WAIT_OPTIONS,
+      ].some((flags) => flags[argv[i]]);
+      throw new Error(
+        known || argv[i] === "--config"
+          ? `${argv[i]} expects a value`
+          : `Unknown option ${argv[i]}`
+      );
+    } else {
+      throw new Error(`Unexpected argument ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse the arguments of a subcommand (export, query, ...)
+ * Unknown options are rejected, as for the scraper flags
+ * @param {Array} argv - Arguments after the subcommand name
+ * @param {Object} flags - { values, booleans } mapping flag names to option keys
+ * @returns {Object} - { options, positionals }
+ */
+function parseCommandArgs(argv, { values = {}, booleans = {} } = {}) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (booleans[arg]) {
+      options[booleans[arg]] = true;
+    } else if (values[arg]) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`${arg} expects a value`);
+      }
+      options[values[arg]] = value;
+      i++;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Read a JSON config file
+ * @param {string} filePath - Path to the config file
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Object} - Config values from the file
+ */
+async function readConfigFile(filePath, required) {
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT" && !required) {
+      return {};
+    }
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(
+      `Invalid JSON in config file ${filePath}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Check the options of a config file against the keys and types the command line accepts
+ * Numbers and years are checked with the merged configuration in loadConfig
+ * @param {Object} options - Config values from the file
+ * @param {string} filePath - Path to the config file, for the error message
+ */
+function validateFileOptions(options, filePath) {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error(`Config file ${filePath} must contain a JSON object`);
+  }
+
+  const lists = [...Object.values(LIST_OPTIONS), "browserArgs"];
+  const booleans = Object.values(BOOLEAN_OPTIONS);
+  const strings = Object.values(STRING_OPTIONS);
+
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in DEFAULT_CONFIG)) {
+      throw new Error(`Unknown option ${key} in config file ${filePath}`);
+    }
+    if (
+      lists.includes(key) &&
+      !(Array.isArray(value) && value.every((item) => typeof item === "string"))
+    ) {
+      throw new Error(
+        `${key} in config file ${filePath} must be a list of strings`
+      );
+    }
+    if (booleans.includes(key) && typeof value !== "boolean") {
+      throw new Error(
+        `${key} in config file ${filePath} must be true or false`
+      );
+    }
+    // The site profile may also be given inline as the profile's values
+    const inlineProfile =
+      key === "siteProfile" && typeof value === "object" && value !== null;
+    if (
+      strings.includes(key) &&
+      value !== null &&
+      typeof value !== "string" &&
+      !inlineProfile
+    ) {
+      throw new Error(`${key} in config file ${filePath} must be a string`);
+    }
+    if (key === "waits") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`waits in config file ${filePath} must be an object`);
+      }
+      for (const wait of Object.keys(value)) {
+        if (!(wait in DEFAULT_CONFIG.waits)) {
+          throw new Error(
+            `Unknown option waits.${wait} in config file ${filePath}`
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Build the run configuration from defaults, an optional config file and the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Run configuration
+ */
+async function loadConfig(argv = process.argv.slice(2)) {
+  const { configFile, ...cliOptions } = parseArgs(argv);
+
+  const filePath = configFile ? path.resolve(configFile) : DEFAULT_CONFIG_FILE;
+  const fileOptions = await readConfigFile(filePath, Boolean(configFile));
+  validateFileOptions(fileOptions, filePath);
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fileOptions,
+    ...cliOptions,
+    // Wait timings merge key by key so one override keeps the other defaults
+    waits: {
+      ...DEFAULT_CONFIG.waits,
+      ...fileOptions.waits,
+      ...cliOptions.waits,
+    },
+  };
+
+  // "all" means no restriction for the filter lists
+  for (const key of ["subjects", "sessions", "units"]) {
+    if (
+      Array.isArray(config[key]) &&
+      config[key].some((value) => String(value).toLowerCase() === "all")
+    ) {
+      config[key] = [];
+    }
+  }
+
+  // Year bounds may come from the config file as numbers or strings
+  for (const key of ["fromYear", "toYear"]) {
+    if (config[key] !== null && config[key] !== undefined) {
+      config[key] = parseYear(key, config[key]);
+    }
+  }
+  config.concurrency = parseWholeNumber("concurrency", config.concurrency, 1);
+  config.rateLimit = parseWholeNumber("rateLimit", config.rateLimit, 0);
+  config.retries = parseWholeNumber("retries", config.retries, 0);
+  config.retryDelay = parseWholeNumber("retryDelay", config.retryDelay, 0);
+  for (const key of Object.keys(config.waits)) {
+    config.waits[key] = parseWholeNumber(`waits.${key}`, config.waits[key], 1);
+  }
+
+  try {
+    new URL(config.baseUrl);
+  } catch (error) {
+    throw new Error(`baseUrl must be an absolute URL, got "${config.baseUrl}"`);
+  }
+  if (!Array.isArray(config.browserArgs)) {
+    throw new Error("browserArgs must be a list of Chromium switches");
+  }
+
+  if (config.record && config.replay) {
+    throw new Error("--record and --replay cannot be used together");
+  }
+
+  if (config.refresh && config.retryFailed) {
+    throw new Error("--refresh and --retry-failed cannot be used together");
+  }
+
+  if (config.fromYear && config.toYear && config.fromYear > config.toYear) {
+    throw new Error(
+      `fromYear (${config.fromYear}) is after toYear (${config.toYear})`
+    );
+  }
+
+  // Compile the filter patterns now so a bad one fails before the browser starts
+  createFilters(config);
+
+  return config;
+}
+
+/**
+ * Compile a filter pattern
+ * "/regex/flags" becomes a regular expression, a pattern containing * or ? is a
+ * glob matched from the start of the name (e.g. "WMA1*" matches "WMA11/01 - ..."),
+ * and anything else is a case-insensitive substring
+ * @param {string} pattern - Pattern from the config
+ * @param {string} option - Config key the pattern came from, for the error message
+ * @returns {Function} - Predicate testing a name against the pattern
+ */
+function compilePattern(pattern, option) {
+  const regexMatch = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(
+        `Invalid pattern ${pattern} in ${option}: ${error.message}`
+      );
+    }
+    return (name) => regex.test(name);
+  }
+
+  if (/[*?]/.test(pattern)) {
+    const source = String(pattern)
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    const regex = new RegExp(`^${source}`, "i");
+    return (name) => regex.test(name);
+  }
+
+  const term = String(pattern).toLowerCase();
+  return (name) => name.toLowerCase().includes(term);
+}
+
+/**
+ * Create a filter from include and exclude pattern lists
+ * A name passes if it matches any include pattern (or there are none) and no exclude pattern
+ * @param {Array} include - Patterns a name must match
+ * @param {Array} exclude - Patterns a name must not match
+ * @param {Object} options - { include, exclude } config keys of the lists, for error messages
+ * @returns {Function} - Predicate deciding whether a name should be processed
+ */
+function createFilter(
+  include = [],
+  exclude = [],
+  options = { include: "include", exclude: "exclude" }
+) {
+  const includeMatchers = (include || []).map((pattern) =>
+    compilePattern(pattern, options.include)
+  );
+  const excludeMatchers = (exclude || []).map((pattern) =>
+    compilePattern(pattern, options.exclude)
+  );
+
+  return (name) => {
+    if (
+      includeMatchers.length > 0 &&
+      !includeMatchers.some((matches) => matches(name))
+    ) {
+      return false;
+    }
+    return !excludeMatchers.some((matches) => matches(name));
+  };
+}
+
+/**
+ * Check whether a session falls inside the configured year bounds
+ * @param {string} session - Session name (e.g. "June 2024")
+ * @param {number|null} fromYear - Earliest year to include
+ * @param {number|null} toYear - Latest year to include
+ * @returns {boolean} - Whether the session is in range
+ */
+function isWithinYears(session, fromYear, toYear) {
+  if (!fromYear && !toYear) {
+    return true;
+  }
+
+  const match = session.match(/\b(\d{4})\b/);
+  if (!match) {
+    return false;
+  }
+
+  const year = parseInt(match[1], 10);
+  return (!fromYear || year >= fromYear) && (!toYear || year <= toYear);
+}
+
+/**
+ * Create the session, subject and unit filters for a run configuration
+ * @param {Object} config - Run configuration
+ * @returns {Object} - Predicates keyed by level
+ */
+function createFilters(config) {
+  const sessionFilter = createFilter(config.sessions, config.excludeSessions, {
+    include: "sessions",
+    exclude: "excludeSessions",
+  });
+
+  return {
+    session: (session) =>
+      sessionFilter(session) &&
+      isWithinYears(session, config.fromYear, config.toYear),
+    subject: createFilter(config.subjects, config.excludeSubjects, {
+      include: "subjects",
+      exclude: "excludeSubjects",
+    }),
+    unit: createFilter(config.units, config.excludeUnits, {
+      include: "units",
+      exclude: "excludeUnits",
+    }),
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  parseArgs,
+  parseCommandArgs,
+  readConfigFile,
+  loadConfig,
+  createFilter,
+  createFilters,
+};
@@ -1,58 +1,263 @@
 const fs = require("fs").promises;
 const path = require("path");
+const crypto = require("crypto");
+const { waitForStable } = require("./navigation");
+const { siteProfile } = require("./siteProfile");
+const { writeFileAtomic } = require("./atomicFile");
+const snapshots = require("./snapshots");
+const { snapshotDir, hasSnapshots, recordVersion, appendChangelog } = snapshots;
+
+// Where units are written (below the project directory unless configured);
+// units that fail validation go to quarantine instead of alongside the real data
+const storage = {};
+
+/**
+ * Set the directory that data/, quarantine/ and snapshots/ are written under
+ * @param {string} rootDir - Output directory
+ */
+function configureStorage(rootDir) {
+  storage.rootDir = rootDir;
+  storage.dataDir = path.join(rootDir, "data");
+  storage.quarantineDir = path.join(rootDir, "quarantine");
+  snapshots.configureStorage(rootDir);
+}
+
+configureStorage(path.join(__dirname, ".."));
 
 /**
  * Extract data from the All Scores view
+ * Rows, their columns and the column order come from the site profile
  * @param {Page} page - Puppeteer page object
- * @param {Function} sleep - Sleep function
  * @returns {Object} - Extracted data
  */
-async function extractAllScoresData(page, sleep) {
-  // Allow time for the content to fully load
-  await sleep(3000);
+async function extractAllScoresData(page) {
+  // Wait until the number of grade rows stops changing
+  await waitForStable(page, siteProfile.selectors.gradeRows, {
+    step: "grade table",
+    countOnly: true,
+    optional: true,
+  });
 
   // Direct extraction of grade rows without depending on tab-pane structure
-  const extractedData = await page.evaluate(() => {
-    console.log("Starting direct data extraction...");
+  const extractedData = await page.evaluate(
+    (rowSelectors, columnSelectors, positions) => {
+      console.log("Starting direct data extraction...");
 
-    // Find all gradeRow elements anywhere in the document
-    const rows = document.querySelectorAll(".gradeRow");
-    console.log(`Found ${rows.length} grade rows in document`);
+      // Elements matched by the first selector that finds any
+      const findAll = (root, selectors) => {
+        for (const selector of selectors) {
+          const elements = root.querySelectorAll(selector);
+          if (elements.length > 0) return Array.from(elements);
+        }
+        return [];
+      };
 
-    if (rows.length === 0) {
-      return { error: "No grade rows found" };
-    }
+      // Find all grade rows anywhere in the document
+      const rows = findAll(document, rowSelectors);
+      console.log(`Found ${rows.length} grade rows in document`);
 
-    const extractedRows = [];
+      if (rows.length === 0) {
+        return { error: "No grade rows found" };
+      }
+
+      const extractedRows = [];
+      const columnCount =
+        Math.max(positions.RAW, positions.UMS, positions.GRADE) + 1;
 
-    rows.forEach((row) => {
-      const columns = row.querySelectorAll(".gradeColumn");
+      rows.forEach((row) => {
+        const columns = findAll(row, columnSelectors);
 
-      if (columns.length >= 3) {
-        const rawText = columns[0].textContent.trim();
-        const umsText = columns[1].textContent.trim();
-        const gradeText = columns[2].textContent.trim();
+        if (columns.length >= columnCount) {
+          const rawText = columns[positions.RAW].textContent.trim();
+          const umsText = columns[positions.UMS].textContent.trim();
+          const gradeText = columns[positions.GRADE].textContent.trim();
 
-        const raw = parseInt(rawText, 10);
-        const ums = parseInt(umsText, 10);
+          const raw = parseInt(rawText, 10);
+          const ums = parseInt(umsText, 10);
 
-        if (!isNaN(raw) && !isNaN(ums)) {
-          extractedRows.push({
-            RAW: raw,
-            UMS: ums,
-            GRADE: gradeText,
-          });
+          if (!isNaN(raw) && !isNaN(ums)) {
+            extractedRows.push({
+              RAW: raw,
+              UMS: ums,
+              GRADE: gradeText,
+            });
+          }
         }
-      }
-    });
+      });
 
-    console.log(`Successfully extracted ${extractedRows.length} data rows`);
-    return { rows: extractedRows };
-  });
+      console.log(`Successfully extracted ${extractedRows.length} data rows`);
+      return { rows: extractedRows, source: "dom" };
+    },
+    siteProfile.selectors.gradeRows,
+    siteProfile.selectors.gradeColumns,
+    siteProfile.columns
+  );
 
   return extractedData;
 }
 
+/**
+ * Extract the visible rows of the currently selected tab
+ * Rows hidden by other tabs are skipped, and columns are kept as text
+ * @param {Page} page - Puppeteer page object
+ * @returns {Array} - Rows as arrays of column text
+ */
+async function extractVisibleTable(page) {
+  return page.evaluate(
+    (rowSelectors, columnSelectors) => {
+      const isVisible = (el) =>
+        !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+      const findAll = (root, selectors) => {
+        for (const selector of selectors) {
+          const elements = root.querySelectorAll(selector);
+          if (elements.length > 0) return Array.from(elements);
+        }
+        return [];
+      };
+
+      return findAll(document, rowSelectors)
+        .filter(isVisible)
+        .map((row) =>
+          findAll(row, columnSelectors).map((column) =>
+            column.textContent.trim()
+          )
+        )
+        .filter((columns) => columns.length > 0);
+    },
+    siteProfile.selectors.gradeRows,
+    siteProfile.selectors.gradeColumns
+  );
+}
+
+/**
+ * Get the unit JSON section name for a tab label
+ * e.g. "Grade boundaries" -> gradeBoundaries, "All scores" -> allScores, "Points" -> points
+ * @param {string} label - Tab label
+ * @returns {string} - Section name
+ */
+function tabSectionName(label) {
+  const text = label.trim().toLowerCase();
+
+  if (text === "all" || text.includes("all score")) return "allScores";
+  if (text.includes("boundar")) return "gradeBoundaries";
+  if (text.includes("point") || text.includes("ums")) return "points";
+
+  const words = text.split(/[^a-z0-9]+/).filter((word) => word.length > 0);
+  return words
+    .map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1)))
+    .join("");
+}
+
+// Key names that hold each column in the wizard's JSON payloads (compared case-insensitively)
+const PAYLOAD_KEYS = {
+  RAW: /^(raw|rawmark|raw_mark|rawscore|raw_score|mark)$/i,
+  UMS: /^(ums|umsmark|ums_mark|uniformmark|uniform_mark|points)$/i,
+  GRADE: /^(grade|gradename|grade_name)$/i,
+};
+
+/**
+ * Convert one payload entry into a RAW/UMS/GRADE row
+ * Entries are either objects with recognisable keys or [raw, ums, grade] arrays,
+ * and must carry a grade so unrelated numeric arrays are not mistaken for rows
+ * @param {*} entry - Entry from a payload array
+ * @returns {Object|null} - Row, or null if the entry is not a conversion row
+ */
+function payloadEntryToRow(entry) {
+  let raw;
+  let ums;
+  let grade;
+
+  if (Array.isArray(entry)) {
+    [raw, ums, grade] = entry;
+  } else if (entry && typeof entry === "object") {
+    for (const [key, value] of Object.entries(entry)) {
+      if (raw === undefined && PAYLOAD_KEYS.RAW.test(key)) raw = value;
+      else if (ums === undefined && PAYLOAD_KEYS.UMS.test(key)) ums = value;
+      else if (grade === undefined && PAYLOAD_KEYS.GRADE.test(key))
+        grade = value;
+    }
+  } else {
+    return null;
+  }
+
+  raw = parseInt(raw, 10);
+  ums = parseInt(ums, 10);
+  if (isNaN(raw) || isNaN(ums) || typeof grade !== "string") {
+    return null;
+  }
+
+  return {
+    RAW: raw,
+    UMS: ums,
+    GRADE: grade.trim(),
+  };
+}
+
+/**
+ * Find grade conversion rows in a JSON payload
+ * Searches the payload for the largest array whose entries all convert to rows
+ * @param {*} payload - Parsed JSON response body
+ * @returns {Array|null} - RAW/UMS/GRADE rows, or null if none were found
+ */
+function extractRowsFromPayload(payload) {
+  let best = null;
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      if (value.length >= 3) {
+        const rows = value.map(payloadEntryToRow);
+        if (
+          rows.every((row) => row !== null) &&
+          (!best || rows.length > best.length)
+        ) {
+          best = rows;
+        }
+      }
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(visit);
+    }
+  };
+
+  visit(payload);
+  return best;
+}
+
+/**
+ * Build extracted data from captured network responses
+ * @param {Array} responses - Captured responses as { url, status, body }
+ * @returns {Object|null} - Extracted data in the same shape as extractAllScoresData, or null
+ */
+function extractFromResponses(responses) {
+  let best = null;
+
+  for (const response of responses) {
+    if (response.status < 200 || response.status >= 300) continue;
+
+    const rows = extractRowsFromPayload(response.body);
+    if (rows && (!best || rows.length > best.rows.length)) {
+      best = { rows, source: "network", url: response.url };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Drop exact copies of rows (e.g. boundary rows repeated by the hidden Grade boundaries tab)
+ * @param {Array} rows - RAW/UMS/GRADE rows
+ * @returns {Array} - Rows with each RAW/UMS/GRADE combination once
+ */
+function removeDuplicateRows(rows) {
+  const seen = new Set();
+  return rows.filter((row) => {
+    const key = `${row.RAW}|${row.UMS}|${row.GRADE}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
 /**
  * Process and normalize extracted data
  * @param {Object} rawData - Raw data extracted from page
@@ -76,60 +281,325 @@ function processData(rawData) {
     );
   }
 
+  const uniqueData = removeDuplicateRows(data);
+  if (uniqueData.length < data.length) {
+    console.log(`Removed ${data.length - uniqueData.length} repeated rows`);
+  }
+
   // Sort by UMS in descending order
-  return data.sort((a, b) => b.UMS - a.UMS);
+  return uniqueData.sort((a, b) => b.UMS - a.UMS);
 }
 
+// GRADE value of the sentinel rows giving the paper's maximum raw mark and UMS
+const MAX_MARK_PATTERN = /^max(imum)?\.?\s*mark$/i;
+
 /**
- * Save processed data to a JSON file with appropriate organization
- * @param {Array} processedData - The sorted and normalized data array
- * @param {Object} metadata - Metadata about the extraction
- * @returns {string} - Path to the saved file
+ * Check whether a row is the "Max Mark" sentinel rather than a real conversion row
+ * @param {Object} row - RAW/UMS/GRADE row
+ * @returns {boolean} - Whether the row is a sentinel
  */
-async function saveData(processedData, metadata) {
+function isMaxMarkRow(row) {
+  return MAX_MARK_PATTERN.test(String(row.GRADE).trim());
+}
+
+/**
+ * Normalise a grade label (the site shows A* as "*" on A2 units)
+ * Used for the summary, table validation and queries so they all agree
+ * @param {string} grade - Grade as extracted or typed
+ * @returns {string} - Upper-case grade label with A* spelled out
+ */
+function normaliseGrade(grade) {
+  const label = String(grade).trim().toUpperCase();
+  return label === "*" ? "A*" : label;
+}
+
+/**
+ * Separate the "Max Mark" sentinel rows and derive a grade boundary summary
+ * Grades are listed from highest to lowest UMS, so any grade scale works
+ * @param {Array} rows - Sorted RAW/UMS/GRADE rows from processData
+ * @returns {Object} - { dataRows, maxMarkRows, summary } where summary holds
+ *   maxRaw, maxUms and { minRaw, minUms } for each grade
+ */
+function summariseData(rows) {
+  const maxMarkRows = rows.filter(isMaxMarkRow);
+  const dataRows = rows.filter((row) => !isMaxMarkRow(row));
+
+  const markSource = maxMarkRows.length > 0 ? maxMarkRows : dataRows;
+  const summary = {
+    maxRaw:
+      markSource.length > 0 ? Math.max(...markSource.map((r) => r.RAW)) : null,
+    maxUms:
+      markSource.length > 0 ? Math.max(...markSource.map((r) => r.UMS)) : null,
+    grades: {},
+  };
+
+  const grades = {};
+  for (const row of dataRows) {
+    const grade = normaliseGrade(row.GRADE);
+    const entry = grades[grade] || {
+      minRaw: row.RAW,
+      minUms: row.UMS,
+      maxUms: row.UMS,
+    };
+    entry.minRaw = Math.min(entry.minRaw, row.RAW);
+    entry.minUms = Math.min(entry.minUms, row.UMS);
+    entry.maxUms = Math.max(entry.maxUms, row.UMS);
+    grades[grade] = entry;
+  }
+
+  Object.entries(grades)
+    .sort(([, a], [, b]) => b.maxUms - a.maxUms || b.minRaw - a.minRaw)
+    .forEach(([grade, { minRaw, minUms }]) => {
+      summary.grades[grade] = { minRaw, minUms };
+    });
+
+  return { dataRows, maxMarkRows, summary };
+}
+
+/**
+ * Get the path of a unit's JSON file below a root directory
+ * @param {string} rootDir - Root directory (e.g. data or quarantine)
+ * @param {Object} metadata - Metadata naming the qualification, session, subject and unit
+ * @returns {string} - Path to the unit file
+ */
+function unitFilePath(rootDir, metadata) {
   const { qualificationType, session, subject, unit } = metadata;
 
   // Create clean names for directory structure
   const cleanName = (str) =>
     str.replace(/[\/\\:*?"<>|]/g, "-").replace(/\s+/g, "_");
 
-  const qualDir = cleanName(qualificationType);
-  const sessionDir = cleanName(session);
-  const subjectDir = cleanName(subject);
-  const filename = `${cleanName(unit)}.json`;
-
-  // Create the directory structure
-  const baseDir = path.join(__dirname, "..", "data");
-  const qualPath = path.join(baseDir, qualDir);
-  const sessionPath = path.join(qualPath, sessionDir);
-  const subjectPath = path.join(sessionPath, subjectDir);
+  return path.join(
+    rootDir,
+    cleanName(qualificationType),
+    cleanName(session),
+    cleanName(subject),
+    `${cleanName(unit)}.json`
+  );
+}
 
-  await fs.mkdir(baseDir, { recursive: true });
-  await fs.mkdir(qualPath, { recursive: true });
-  await fs.mkdir(sessionPath, { recursive: true });
-  await fs.mkdir(subjectPath, { recursive: true });
+/**
+ * Write a unit's data and metadata to its JSON file below a root directory
+ * @param {string} rootDir - Root directory
+ * @param {Array} processedData - The sorted and normalized data array
+ * @param {Object} metadata - Metadata about the extraction
+ * @param {Object} sections - Extra top-level sections; empty sections are left out
+ * @param {string} timestamp - When the data was scraped
+ * @returns {Object} - { filepath, fullData } the written path and contents
+ */
+async function writeUnitFile(
+  rootDir,
+  processedData,
+  metadata,
+  sections,
+  timestamp = new Date().toISOString()
+) {
+  const filepath = unitFilePath(rootDir, metadata);
 
-  const filepath = path.join(subjectPath, filename);
+  // Create the directory structure
+  await fs.mkdir(path.dirname(filepath), { recursive: true });
 
   // Combine data and metadata
   const fullData = {
     metadata: {
       ...metadata,
       recordCount: processedData.length,
-      timestamp: new Date().toISOString(),
+      timestamp,
     },
     data: processedData,
   };
+  for (const [name, section] of Object.entries(sections)) {
+    if (section && Object.keys(section).length > 0) {
+      fullData[name] = section;
+    }
+  }
+
+  // Write to file, replacing any previous version in one step
+  await writeFileAtomic(filepath, JSON.stringify(fullData, null, 2));
+  return { filepath, fullData };
+}
+
+/**
+ * Hash the conversion content of a unit, ignoring row order, repeats and timestamps
+ * @param {Array} rows - RAW/UMS/GRADE rows, with or without "Max Mark" sentinels
+ * @param {Object} maxMark - Max Mark row stored separately, if any
+ * @returns {string} - SHA-256 hex digest
+ */
+function contentHash(rows, maxMark = null) {
+  const { dataRows, maxMarkRows } = summariseData(removeDuplicateRows(rows));
+  const sentinel = maxMark || maxMarkRows[0] || null;
+  const canonical = {
+    rows: dataRows
+      .map((row) => [row.RAW, row.UMS, row.GRADE])
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1]),
+    maxMark: sentinel ? [sentinel.RAW, sentinel.UMS] : null,
+  };
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical))
+    .digest("hex");
+}
 
-  // Write to file
-  await fs.writeFile(filepath, JSON.stringify(fullData, null, 2), "utf8");
-  console.log(`Data saved to ${filepath} (${processedData.length} records)`);
+/**
+ * Count the raw marks whose UMS or grade differ between two versions of a unit
+ * @param {Array} previousRows - Rows of the stored version
+ * @param {Array} rows - Rows of the new version
+ * @returns {number} - Number of raw marks that changed, appeared or disappeared
+ */
+function countChangedRows(previousRows, rows) {
+  const byRaw = (list) =>
+    new Map(list.map((row) => [row.RAW, `${row.UMS}|${row.GRADE}`]));
+  const before = byRaw(previousRows);
+  const after = byRaw(rows);
+
+  const raws = new Set([...before.keys(), ...after.keys()]);
+  return [...raws].filter((raw) => before.get(raw) !== after.get(raw)).length;
+}
+
+/**
+ * Read a stored unit file
+ * @param {string} filepath - Unit file
+ * @returns {Object|null} - File contents, or null if there is no readable file
+ */
+async function readUnitFile(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Could not read existing ${filepath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Save processed data to a JSON file with appropriate organization
+ * Every version of a unit is also kept as an immutable snapshot under snapshots/,
+ * named by its content hash, with a manifest recording each scrape. The file
+ * under data/ is only rewritten when the conversion content changed; the change
+ * is then appended to data/changelog.jsonl
+ * @param {Array} processedData - The sorted and normalized data array
+ * @param {Object} metadata - Metadata about the extraction
+ * @param {Object} sections - Extra top-level sections to store alongside the data
+ *   (e.g. maxMark, summary, tabs); empty sections are left out
+ * @returns {Object} - { filepath, status } where status is "new", "changed" or "unchanged"
+ */
+async function saveData(processedData, metadata, sections = {}) {
+  const filepath = unitFilePath(storage.dataDir, metadata);
+  const hash = contentHash(processedData, sections.maxMark);
+  const timestamp = new Date().toISOString();
+
+  const previous = await readUnitFile(filepath);
+  const previousHash = previous
+    ? contentHash(previous.data || [], previous.maxMark)
+    : null;
+  const previousTimestamp =
+    (previous && previous.metadata && previous.metadata.timestamp) || null;
+
+  // Files saved before snapshots existed become their unit's first version
+  if (previous && !(await hasSnapshots(filepath))) {
+    await recordVersion(
+      filepath,
+      previousHash,
+      previous,
+      "import",
+      previousTimestamp || timestamp
+    );
+  }
+
+  let status = "new";
+  if (previous && previousHash === hash) {
+    await recordVersion(filepath, hash, previous, "unchanged", timestamp);
+    console.log(`Data unchanged for ${filepath}, keeping stored version`);
+    status = "unchanged";
+  } else {
+    if (previous) status = "changed";
+
+    const { fullData } = await writeUnitFile(
+      storage.dataDir,
+      processedData,
+      { ...metadata, contentHash: hash },
+      sections,
+      timestamp
+    );
+    await recordVersion(filepath, hash, fullData, status, timestamp);
+    console.log(`Data saved to ${filepath} (${processedData.length} records)`);
+
+    if (previous) {
+      const changedRows = countChangedRows(
+        summariseData(removeDuplicateRows(previous.data || [])).dataRows,
+        processedData
+      );
+      const previousSnapshot = path.join(
+        snapshotDir(filepath),
+        `${previousHash}.json`
+      );
+      await appendChangelog({
+        timestamp,
+        event: "changed",
+        qualificationType: metadata.qualificationType,
+        session: metadata.session,
+        subject: metadata.subject,
+        unit: metadata.unit,
+        previousHash,
+        hash,
+        previousTimestamp,
+        changedRows,
+        previousSnapshot: path.relative(storage.rootDir, previousSnapshot),
+      });
+      console.log(
+        `Conversion table changed for ${metadata.unit} (${changedRows} rows differ), previous version kept at ${previousSnapshot}`
+      );
+    }
+  }
+
+  // A unit that now passes validation no longer needs its quarantined copy
+  await fs.rm(unitFilePath(storage.quarantineDir, metadata), { force: true });
+
+  return { filepath, status };
+}
+
+/**
+ * Save data that failed validation to the quarantine directory, away from the real data
+ * @param {Array} processedData - The sorted and normalized data array
+ * @param {Object} metadata - Metadata about the extraction
+ * @param {Array} problems - Validation problems found in the data
+ * @param {Object} sections - Extra top-level sections, as for saveData
+ * @returns {string} - Path to the quarantined file
+ */
+async function quarantineData(
+  processedData,
+  metadata,
+  problems,
+  sections = {}
+) {
+  const { filepath } = await writeUnitFile(
+    storage.quarantineDir,
+    processedData,
+    metadata,
+    {
+      ...sections,
+      validation: { problems },
+    }
+  );
+  console.warn(`Data quarantined to ${filepath}: ${problems.join("; ")}`);
 
   return filepath;
 }
 
 module.exports = {
   extractAllScoresData,
+  extractVisibleTable,
+  tabSectionName,
+  extractRowsFromPayload,
+  extractFromResponses,
+  removeDuplicateRows,
   processData,
+  isMaxMarkRow,
+  normaliseGrade,
+  summariseData,
+  unitFilePath,
   saveData,
+  quarantineData,
+  configureStorage,
 };
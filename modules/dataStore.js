@@ -0,0 +1,185 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { removeDuplicateRows, summariseData } = require("./dataProcessor");
+const { parseUnitCode } = require("../file_processor");
+
+const ROOT_DIR = path.join(__dirname, "..");
+
+// Directories searched for unit files when no source is given, best first
+const DEFAULT_SOURCES = ["processed_data", "data"];
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Turn a cleaned directory name back into a readable name
+ * @param {string} dirName - Directory name (e.g. "October_2023")
+ * @returns {string} - Name with spaces (e.g. "October 2023")
+ */
+function displayName(dirName) {
+  return dirName.replace(/_/g, " ");
+}
+
+/**
+ * Split a session name into its month and year
+ * @param {string} session - Session name (e.g. "October 2023")
+ * @returns {Object} - { month, monthIndex, year }, with nulls for parts that are missing
+ */
+function parseSession(session) {
+  const month = MONTHS.find((name) =>
+    session.toLowerCase().includes(name.toLowerCase())
+  );
+  const year = session.match(/\b(\d{4})\b/);
+  return {
+    month: month || null,
+    monthIndex: month ? MONTHS.indexOf(month) : null,
+    year: year ? parseInt(year[1], 10) : null,
+  };
+}
+
+/**
+ * Compare two session names chronologically
+ * @param {string} a - Session name
+ * @param {string} b - Session name
+ * @returns {number} - Negative if a is earlier than b
+ */
+function compareSessions(a, b) {
+  const first = parseSession(a);
+  const second = parseSession(b);
+  return (
+    (first.year || 0) - (second.year || 0) ||
+    (first.monthIndex || 0) - (second.monthIndex || 0) ||
+    a.localeCompare(b)
+  );
+}
+
+/**
+ * Check whether a path is a directory
+ * @param {string} dir - Path to check
+ * @returns {boolean} - Whether the path exists and is a directory
+ */
+async function isDirectory(dir) {
+  try {
+    return (await fs.stat(dir)).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * List the subdirectories of a directory in name order
+ * @param {string} dir - Directory to list
+ * @returns {Array} - Subdirectory names
+ */
+async function listDirectories(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Resolve the directory to read unit files from
+ * @param {string} source - Directory given on the command line, if any
+ * @returns {string} - Absolute path of the source directory
+ */
+async function resolveSourceDir(source) {
+  if (source) {
+    const dir = path.resolve(source);
+    if (!(await isDirectory(dir))) {
+      throw new Error(`Source directory not found: ${dir}`);
+    }
+    return dir;
+  }
+
+  for (const name of DEFAULT_SOURCES) {
+    const dir = path.join(ROOT_DIR, name);
+    if (await isDirectory(dir)) {
+      return dir;
+    }
+  }
+  throw new Error(`No ${DEFAULT_SOURCES.join(" or ")} directory found`);
+}
+
+/**
+ * Read every unit file below a source directory laid out as
+ * <qualification>/<session>/<subject>/<unit>.json
+ * Names come from the directories, so organised subjects (e.g. merged Mathematics) are kept
+ * @param {string} sourceDir - Directory holding the unit files (data or processed_data)
+ * @returns {Array} - Units as { file, qualificationType, session, subject, unit, unitCode,
+ *   metadata, rows, maxMark, summary }, with rows excluding the "Max Mark" sentinels
+ */
+async function loadUnits(sourceDir) {
+  const units = [];
+
+  for (const qualDir of await listDirectories(sourceDir)) {
+    const qualPath = path.join(sourceDir, qualDir);
+
+    for (const sessionDir of await listDirectories(qualPath)) {
+      const sessionPath = path.join(qualPath, sessionDir);
+
+      for (const subjectDir of await listDirectories(sessionPath)) {
+        const subjectPath = path.join(sessionPath, subjectDir);
+        const files = (await fs.readdir(subjectPath))
+          .filter((file) => file.endsWith(".json"))
+          .sort();
+
+        for (const file of files) {
+          const filePath = path.join(subjectPath, file);
+          let contents;
+          try {
+            contents = JSON.parse(await fs.readFile(filePath, "utf8"));
+          } catch (error) {
+            console.warn(
+              `Skipping unreadable unit file ${filePath}: ${error.message}`
+            );
+            continue;
+          }
+
+          const baseName = path.basename(file, ".json");
+          const rows = removeDuplicateRows(contents.data || []).sort(
+            (a, b) => b.UMS - a.UMS
+          );
+          const { dataRows, maxMarkRows, summary } = summariseData(rows);
+          const metadata = contents.metadata || {};
+
+          units.push({
+            file: filePath,
+            qualificationType: displayName(qualDir),
+            session: displayName(sessionDir),
+            subject: displayName(subjectDir),
+            unit: metadata.unit || displayName(baseName),
+            unitCode: parseUnitCode(baseName) || baseName,
+            metadata,
+            rows: dataRows,
+            maxMark: contents.maxMark || maxMarkRows[0] || null,
+            summary,
+          });
+        }
+      }
+    }
+  }
+
+  return units;
+}
+
+module.exports = {
+  MONTHS,
+  parseSession,
+  compareSessions,
+  resolveSourceDir,
+  loadUnits,
+};
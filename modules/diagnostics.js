@@ -0,0 +1,84 @@
+/**
+ * Diagnostics saved when a unit fails, so the failure can be looked into after the run
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { unitFilePath } = require("./dataProcessor");
+
+/**
+ * Save what the page looked like when a unit failed
+ * Layout of each failure's folder:
+ *   failure.json - the error, the step it happened at and the All Scores tab fallbacks tried
+ *   screenshot.png - the whole page
+ *   page.html - the page's DOM
+ *   console.log - the page's recent console output
+ * The page may have crashed, so anything that cannot be captured is noted in failure.json
+ * @param {string} rootDir - Diagnostics directory of the run
+ * @param {Page} page - Puppeteer page the unit failed on
+ * @param {Object} failure - Details of the failure
+ * @param {Object} failure.unit - Qualification type, session, subject and unit
+ * @param {Error} failure.error - Error the unit failed with
+ * @param {number} failure.attempt - Attempt number
+ * @param {Array} failure.consoleLog - Recent console lines of the page
+ * @returns {string} - Folder the diagnostics were written to
+ */
+async function writeDiagnostics(rootDir, page, failure) {
+  const { unit, error, attempt = 1, consoleLog = [] } = failure;
+  const timestamp = new Date().toISOString();
+  const dir = path.join(
+    unitFilePath(rootDir, unit).replace(/\.json$/, ""),
+    timestamp.replace(/:/g, "-")
+  );
+  await fs.mkdir(dir, { recursive: true });
+
+  const report = {
+    unit,
+    timestamp,
+    attempt,
+    error: error.message,
+    step: error.step || null,
+    url: null,
+    tabAttempts: error.tabAttempts || null,
+    captureErrors: {},
+  };
+
+  try {
+    report.url = page.url();
+  } catch (urlError) {
+    report.captureErrors.url = urlError.message;
+  }
+  try {
+    await page.screenshot({
+      path: path.join(dir, "screenshot.png"),
+      fullPage: true,
+    });
+  } catch (screenshotError) {
+    report.captureErrors.screenshot = screenshotError.message;
+  }
+  try {
+    await fs.writeFile(
+      path.join(dir, "page.html"),
+      await page.content(),
+      "utf8"
+    );
+  } catch (contentError) {
+    report.captureErrors.page = contentError.message;
+  }
+
+  await fs.writeFile(
+    path.join(dir, "console.log"),
+    consoleLog.map((line) => `${line}\n`).join(""),
+    "utf8"
+  );
+  await fs.writeFile(
+    path.join(dir, "failure.json"),
+    JSON.stringify(report, null, 2),
+    "utf8"
+  );
+
+  return dir;
+}
+
+module.exports = {
+  writeDiagnostics,
+};
@@ -0,0 +1,245 @@
+const fs = require("fs").promises;
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { parseCommandArgs } = require("./config");
+const { parseSession, resolveSourceDir, loadUnits } = require("./dataStore");
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "exports");
+const EXPORT_NAME = "grade_conversions";
+const FORMATS = ["sqlite", "csv"];
+
+const SCHEMA = `
+  CREATE TABLE qualifications (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+  );
+  CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY,
+    qualification_id INTEGER NOT NULL REFERENCES qualifications(id),
+    name TEXT NOT NULL,
+    month TEXT,
+    year INTEGER,
+    UNIQUE (qualification_id, name)
+  );
+  CREATE TABLE subjects (
+    id INTEGER PRIMARY KEY,
+    qualification_id INTEGER NOT NULL REFERENCES qualifications(id),
+    name TEXT NOT NULL,
+    UNIQUE (qualification_id, name)
+  );
+  CREATE TABLE units (
+    id INTEGER PRIMARY KEY,
+    session_id INTEGER NOT NULL REFERENCES sessions(id),
+    subject_id INTEGER NOT NULL REFERENCES subjects(id),
+    code TEXT NOT NULL,
+    name TEXT NOT NULL,
+    max_raw INTEGER,
+    max_ums INTEGER,
+    scraped_at TEXT
+  );
+  CREATE TABLE conversion_rows (
+    unit_id INTEGER NOT NULL REFERENCES units(id),
+    raw INTEGER NOT NULL,
+    ums INTEGER NOT NULL,
+    grade TEXT NOT NULL
+  );
+  CREATE INDEX units_code ON units (code);
+  CREATE INDEX conversion_rows_unit ON conversion_rows (unit_id, raw);
+`;
+
+/**
+ * Get the id for a key, assigning the next id the first time the key is seen
+ * @param {Map} ids - Ids assigned so far
+ * @param {string} key - Key to look up
+ * @param {Function} onNew - Called with the new id when the key is first seen
+ * @returns {number} - Id for the key
+ */
+function idFor(ids, key, onNew) {
+  if (!ids.has(key)) {
+    ids.set(key, ids.size + 1);
+    onNew(ids.size);
+  }
+  return ids.get(key);
+}
+
+/**
+ * Write the units to a SQLite database, replacing any existing file
+ * @param {Array} units - Units from loadUnits
+ * @param {string} filePath - Database file to write
+ * @returns {number} - Number of conversion rows written
+ */
+async function exportSqlite(units, filePath) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  let rowCount = 0;
+
+  try {
+    db.run(SCHEMA);
+    db.run("BEGIN");
+
+    const insertQualification = db.prepare(
+      "INSERT INTO qualifications (id, name) VALUES (?, ?)"
+    );
+    const insertSession = db.prepare(
+      "INSERT INTO sessions (id, qualification_id, name, month, year) VALUES (?, ?, ?, ?, ?)"
+    );
+    const insertSubject = db.prepare(
+      "INSERT INTO subjects (id, qualification_id, name) VALUES (?, ?, ?)"
+    );
+    const insertUnit = db.prepare(
+      "INSERT INTO units (id, session_id, subject_id, code, name, max_raw, max_ums, scraped_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)"
+    );
+    const insertRow = db.prepare(
+      "INSERT INTO conversion_rows (unit_id, raw, ums, grade) VALUES (?, ?, ?, ?)"
+    );
+
+    const qualificationIds = new Map();
+    const sessionIds = new Map();
+    const subjectIds = new Map();
+
+    units.forEach((unit, index) => {
+      const qualificationId = idFor(
+        qualificationIds,
+        unit.qualificationType,
+        (id) => insertQualification.run([id, unit.qualificationType])
+      );
+      const sessionId = idFor(
+        sessionIds,
+        `${qualificationId}|${unit.session}`,
+        (id) => {
+          const { month, year } = parseSession(unit.session);
+          insertSession.run([id, qualificationId, unit.session, month, year]);
+        }
+      );
+      const subjectId = idFor(
+        subjectIds,
+        `${qualificationId}|${unit.subject}`,
+        (id) => insertSubject.run([id, qualificationId, unit.subject])
+      );
+
+      const unitId = index + 1;
+      insertUnit.run([
+        unitId,
+        sessionId,
+        subjectId,
+        unit.unitCode,
+        unit.unit,
+        unit.summary.maxRaw,
+        unit.summary.maxUms,
+        unit.metadata.timestamp || null,
+      ]);
+
+      for (const row of unit.rows) {
+        insertRow.run([unitId, row.RAW, row.UMS, row.GRADE]);
+        rowCount++;
+      }
+    });
+
+    [
+      insertQualification,
+      insertSession,
+      insertSubject,
+      insertUnit,
+      insertRow,
+    ].forEach((statement) => statement.free());
+    db.run("COMMIT");
+
+    await fs.writeFile(filePath, Buffer.from(db.export()));
+  } finally {
+    db.close();
+  }
+
+  return rowCount;
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the units as one flat CSV of (session, subject, unit code, RAW, UMS, GRADE)
+ * @param {Array} units - Units from loadUnits
+ * @param {string} filePath - CSV file to write
+ * @returns {number} - Number of conversion rows written
+ */
+async function exportCsv(units, filePath) {
+  const lines = [["session", "subject", "unit_code", "RAW", "UMS", "GRADE"]];
+
+  for (const unit of units) {
+    const rows = [...unit.rows].sort((a, b) => a.RAW - b.RAW);
+    for (const row of rows) {
+      lines.push([
+        unit.session,
+        unit.subject,
+        unit.unitCode,
+        row.RAW,
+        row.UMS,
+        row.GRADE,
+      ]);
+    }
+  }
+
+  const csv = lines.map((line) => line.map(csvField).join(",")).join("\n");
+  await fs.writeFile(filePath, `${csv}\n`, "utf8");
+  return lines.length - 1;
+}
+
+/**
+ * Run the export command
+ * Usage: node index.js export [--source <dir>] [--out <dir>] [--format sqlite,csv]
+ * @param {Array} argv - Arguments after "export"
+ */
+async function runExport(argv) {
+  const { options } = parseCommandArgs(argv, {
+    values: { "--source": "source", "--out": "out", "--format": "format" },
+  });
+
+  const formats = options.format
+    ? options.format.split(",").map((format) => format.trim().toLowerCase())
+    : FORMATS;
+  const unknown = formats.filter((format) => !FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown export format: ${unknown.join(", ")} (expected ${FORMATS.join(
+        " or "
+      )})`
+    );
+  }
+
+  const sourceDir = await resolveSourceDir(options.source);
+  const outputDir = options.out
+    ? path.resolve(options.out)
+    : DEFAULT_OUTPUT_DIR;
+
+  console.log(`Reading unit files from ${sourceDir}...`);
+  const units = await loadUnits(sourceDir);
+  if (units.length === 0) {
+    throw new Error(`No unit files found in ${sourceDir}`);
+  }
+  console.log(`Loaded ${units.length} units`);
+
+  await fs.mkdir(outputDir, { recursive: true });
+
+  if (formats.includes("sqlite")) {
+    const filePath = path.join(outputDir, `${EXPORT_NAME}.sqlite`);
+    const rowCount = await exportSqlite(units, filePath);
+    console.log(`SQLite database written to ${filePath} (${rowCount} rows)`);
+  }
+  if (formats.includes("csv")) {
+    const filePath = path.join(outputDir, `${EXPORT_NAME}.csv`);
+    const rowCount = await exportCsv(units, filePath);
+    console.log(`CSV written to ${filePath} (${rowCount} rows)`);
+  }
+}
+
+module.exports = {
+  exportSqlite,
+  exportCsv,
+  runExport,
+};
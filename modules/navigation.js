@@ -1,6 +1,8 @@
 /**
  * Functions for navigating through the Pearson grade conversion site
+ * Selectors come from the site profile in use (see modules/siteProfile.js)
  */
+const { siteProfile } = require("./siteProfile");
 
 /**
  * Sleep function to add delay between actions
@@ -10,6 +12,270 @@ async function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Timing for condition-based waits, set from the run configuration via configureWaits
+const waitSettings = {
+  timeout: 30000, // Give up waiting after this many milliseconds
+  pollInterval: 250, // Check the page this often
+  settleTime: 750, // Content counts as loaded once unchanged for this long
+};
+
+// Time spent waiting at each wizard step: { step: { count, total, max } }
+const waitStats = {};
+
+// Attribute holding the text an element had before a click, set by markStale
+const STALE_ATTRIBUTE = "data-scraper-stale";
+
+/**
+ * Override the wait timings
+ * @param {Object} settings - Any of timeout, pollInterval and settleTime in milliseconds
+ */
+function configureWaits(settings = {}) {
+  for (const key of Object.keys(waitSettings)) {
+    if (settings[key] !== undefined && settings[key] !== null) {
+      waitSettings[key] = settings[key];
+    }
+  }
+}
+
+/**
+ * Record how long a step waited
+ * @param {string} step - Step name (e.g. "session list")
+ * @param {number} ms - Milliseconds waited
+ */
+function recordWait(step, ms) {
+  const stat = waitStats[step] || { count: 0, total: 0, max: 0 };
+  stat.count++;
+  stat.total += ms;
+  stat.max = Math.max(stat.max, ms);
+  waitStats[step] = stat;
+}
+
+/**
+ * Get the time spent waiting at each step so far
+ * @returns {Object} - Count, total, max and average milliseconds per step
+ */
+function getWaitStats() {
+  const summary = {};
+  for (const [step, stat] of Object.entries(waitStats)) {
+    summary[step] = {
+      ...stat,
+      average: Math.round(stat.total / stat.count),
+    };
+  }
+  return summary;
+}
+
+/**
+ * Wait until the elements matching a selector stop changing
+ * Content is settled once its count (and, unless countOnly, its text) has not
+ * changed for settleTime and at least minCount elements are present
+ * @param {Page} page - Puppeteer page object
+ * @param {string|Array} selector - Elements to watch, or selector tiers in order of
+ *   preference, of which the first that matches anything is watched
+ * @param {Object} options - Wait options
+ * @param {string} options.step - Step name the wait is recorded under
+ * @param {number} options.minCount - Fewest elements that count as loaded
+ * @param {boolean} options.countOnly - Only watch the element count, not the text
+ * @param {boolean} options.optional - Log instead of throwing on timeout
+ * @param {boolean} options.fresh - Ignore elements marked by markStale that still
+ *   show the text they had when marked, so a list left over from before a click
+ *   is not mistaken for the new one
+ * @returns {number} - Milliseconds waited
+ */
+async function waitForStable(
+  page,
+  selector,
+  {
+    step = String(selector),
+    minCount = 1,
+    countOnly = false,
+    optional = false,
+    fresh = false,
+  } = {}
+) {
+  const tiers = Array.isArray(selector) ? selector : [selector];
+  const start = Date.now();
+  let lastSignature = null;
+  let lastChange = start;
+
+  while (true) {
+    const current = await page.evaluate(
+      (selectors, onlyCount, onlyFresh, staleAttribute) => {
+        let elements = [];
+        for (const sel of selectors) {
+          elements = Array.from(document.querySelectorAll(sel)).filter(
+            (el) =>
+              !onlyFresh ||
+              el.getAttribute(staleAttribute) !== el.textContent.trim()
+          );
+          if (elements.length > 0) break;
+        }
+        return {
+          count: elements.length,
+          signature: onlyCount
+            ? String(elements.length)
+            : `${elements.length}:${elements
+                .map((el) => el.textContent.trim())
+                .join("|")}`,
+        };
+      },
+      tiers,
+      countOnly,
+      fresh,
+      STALE_ATTRIBUTE
+    );
+
+    const now = Date.now();
+    if (current.signature !== lastSignature) {
+      lastSignature = current.signature;
+      lastChange = now;
+    } else if (
+      current.count >= minCount &&
+      now - lastChange >= waitSettings.settleTime
+    ) {
+      break;
+    }
+
+    if (now - start >= waitSettings.timeout) {
+      const message = `Timed out after ${waitSettings.timeout} ms waiting for ${
+        fresh ? "new " : ""
+      }${tiers.join(" or ")} to settle (${current.count} found)`;
+      recordWait(step, now - start);
+      if (optional) {
+        console.warn(message);
+        return now - start;
+      }
+      throw new Error(message);
+    }
+
+    await sleep(waitSettings.pollInterval);
+  }
+
+  const waited = Date.now() - start;
+  recordWait(step, waited);
+  console.log(`Waited ${waited} ms for ${step}`);
+  return waited;
+}
+
+/**
+ * Find the first selector of a tier list that matches anything on the page
+ * @param {Page} page - Puppeteer page object
+ * @param {Array} selectors - Selectors in order of preference (e.g. siteProfile.selectors.sessions)
+ * @returns {Object} - { tier, selector, texts } where tier is the position of the matching
+ *   selector (0 for the primary one, -1 if none matched) and texts are the elements' trimmed text
+ */
+async function matchSelectorTiers(page, selectors) {
+  return page.evaluate((tiers) => {
+    for (let tier = 0; tier < tiers.length; tier++) {
+      const elements = Array.from(document.querySelectorAll(tiers[tier]));
+      if (elements.length > 0) {
+        return {
+          tier,
+          selector: tiers[tier],
+          texts: elements.map((element) => element.textContent.trim()),
+        };
+      }
+    }
+    return { tier: -1, selector: null, texts: [] };
+  }, selectors);
+}
+
+/**
+ * Mark the elements a click is about to replace, so waitForStable's fresh option
+ * can tell the old list from the new one
+ * @param {Page} page - Puppeteer page object
+ * @param {Array} selectors - Selector tiers of the elements to mark
+ */
+async function markStale(page, selectors) {
+  await page.evaluate(
+    (tiers, staleAttribute) => {
+      for (const selector of tiers) {
+        for (const element of document.querySelectorAll(selector)) {
+          element.setAttribute(staleAttribute, element.textContent.trim());
+        }
+      }
+    },
+    selectors,
+    STALE_ATTRIBUTE
+  );
+}
+
+/**
+ * Wait for one of the wizard's lists to settle and find the selector tier it matched
+ * @param {Page} page - Puppeteer page object
+ * @param {string} part - Key of the list in the site profile's selectors (e.g. "sessions")
+ * @param {string} step - Step name the wait is recorded under
+ * @param {Object} options - Wait options
+ * @param {boolean} options.fresh - Wait for the list a click replaced (see markStale)
+ * @returns {Object} - { tier, selector, texts }, as from matchSelectorTiers
+ */
+async function waitForList(page, part, step, { fresh = false } = {}) {
+  const selectors = siteProfile.selectors[part];
+  await waitForStable(page, selectors, { step, fresh });
+
+  const match = await matchSelectorTiers(page, selectors);
+  if (match.tier > 0) {
+    console.log(`Found ${step} with fallback selector ${match.selector}`);
+  }
+  return match;
+}
+
+/**
+ * Click the option with a given label, skipping options left over from before a click
+ * @param {Page} page - Puppeteer page object
+ * @param {string} selector - Selector matching the options
+ * @param {string} label - Text of the option to click
+ * @returns {boolean} - Whether the option was found
+ */
+async function clickOption(page, selector, label) {
+  return page.evaluate(
+    (optionSelector, text, staleAttribute) => {
+      const links = Array.from(document.querySelectorAll(optionSelector));
+      const targetLink = links.find(
+        (link) =>
+          link.textContent.trim() === text &&
+          link.getAttribute(staleAttribute) !== text
+      );
+
+      if (targetLink) {
+        console.log(`Found link for ${text}`);
+        targetLink.click();
+        return true;
+      }
+      console.log(`Could not find link for ${text}`);
+      return false;
+    },
+    selector,
+    label,
+    STALE_ATTRIBUTE
+  );
+}
+
+/**
+ * Select a qualification family in step 1 of the wizard
+ * @param {Page} page - Puppeteer page object
+ * @param {string} qualificationName - Name of the qualification family (e.g., "International GCSE")
+ */
+async function selectQualification(page, qualificationName) {
+  console.log(`Selecting qualification: ${qualificationName}`);
+
+  // Wait for the qualification list to finish loading
+  const { selector } = await waitForList(
+    page,
+    "qualifications",
+    "qualification list"
+  );
+
+  await markStale(page, siteProfile.selectors.sessions);
+  if (!(await clickOption(page, selector, qualificationName))) {
+    throw new Error(`Qualification not found: ${qualificationName}`);
+  }
+
+  // Wait for the sessions to load
+  console.log("Waiting for sessions to load...");
+  await waitForList(page, "sessions", "session list", { fresh: true });
+}
+
 /**
  * Navigate to a specific exam series/session
  * @param {Page} page - Puppeteer page object
@@ -18,34 +284,17 @@ async function sleep(ms) {
 async function navigateToSession(page, sessionName) {
   console.log(`Navigating to session: ${sessionName}`);
 
-  await sleep(1000); // Add delay before navigation
-
-  const sessionFound = await page.evaluate((session) => {
-    const links = Array.from(
-      document.querySelectorAll("#gcstep2 .step-option-list a")
-    );
-    const targetLink = links.find(
-      (link) => link.textContent.trim() === session
-    );
+  // Wait for the session list to finish loading
+  const { selector } = await waitForList(page, "sessions", "session list");
 
-    if (targetLink) {
-      console.log(`Found link for session: ${session}`);
-      targetLink.click();
-      return true;
-    } else {
-      console.log(`Could not find link for session: ${session}`);
-      return false;
-    }
-  }, sessionName);
-
-  if (!sessionFound) {
+  await markStale(page, siteProfile.selectors.subjects);
+  if (!(await clickOption(page, selector, sessionName))) {
     throw new Error(`Session not found: ${sessionName}`);
   }
 
   // Wait for the subjects to load
   console.log("Waiting for subjects to load...");
-  await page.waitForSelector("#gcstep3", { timeout: 30000 });
-  await sleep(1000); // Add delay to ensure content is fully loaded
+  await waitForList(page, "subjects", "subject list", { fresh: true });
 }
 
 /**
@@ -56,34 +305,17 @@ async function navigateToSession(page, sessionName) {
 async function selectSubject(page, subjectName) {
   console.log(`Selecting subject: ${subjectName}`);
 
-  await sleep(1000); // Add delay before selection
-
-  const subjectFound = await page.evaluate((subject) => {
-    const links = Array.from(
-      document.querySelectorAll("#gcstep3 .step-option-list a")
-    );
-    const targetLink = links.find(
-      (link) => link.textContent.trim() === subject
-    );
+  // Wait for the subject list to finish loading
+  const { selector } = await waitForList(page, "subjects", "subject list");
 
-    if (targetLink) {
-      console.log(`Found link for subject: ${subject}`);
-      targetLink.click();
-      return true;
-    } else {
-      console.log(`Could not find link for subject: ${subject}`);
-      return false;
-    }
-  }, subjectName);
-
-  if (!subjectFound) {
+  await markStale(page, siteProfile.selectors.units);
+  if (!(await clickOption(page, selector, subjectName))) {
     throw new Error(`Subject not found: ${subjectName}`);
   }
 
   // Wait for the units to load
   console.log("Waiting for units to load...");
-  await page.waitForSelector("#gcstep4", { timeout: 30000 });
-  await sleep(1000); // Add delay to ensure content is fully loaded
+  await waitForList(page, "units", "unit list", { fresh: true });
 }
 
 /**
@@ -94,114 +326,159 @@ async function selectSubject(page, subjectName) {
 async function selectUnit(page, unitName) {
   console.log(`Selecting unit: ${unitName}`);
 
-  await sleep(1000); // Add delay before selection
-
-  const unitFound = await page.evaluate((unit) => {
-    const links = Array.from(
-      document.querySelectorAll("#gcstep4 .step-option-list a")
-    );
-    const targetLink = links.find((link) => link.textContent.trim() === unit);
-
-    if (targetLink) {
-      console.log(`Found link for unit: ${unit}`);
-      targetLink.click();
-      return true;
-    } else {
-      console.log(`Could not find link for unit: ${unit}`);
-      return false;
-    }
-  }, unitName);
+  // Wait for the unit list to finish loading
+  const { selector } = await waitForList(page, "units", "unit list");
 
-  if (!unitFound) {
+  // The previous unit's conversion view may still be showing
+  await markStale(page, siteProfile.selectors.conversionView);
+  if (!(await clickOption(page, selector, unitName))) {
     throw new Error(`Unit not found: ${unitName}`);
   }
 
   // Wait for the tabs to load
   console.log("Waiting for tabs to load...");
-  await page.waitForSelector("#gcstep5", { timeout: 30000 });
-  await sleep(1500); // Add extra delay to ensure content is fully loaded
+  await waitForStable(page, siteProfile.selectors.conversionView, {
+    step: "conversion view",
+    countOnly: true,
+    fresh: true,
+  });
+  // Missing tabs are left to selectAllScoresTab, which has fallbacks for them
+  await waitForStable(page, siteProfile.selectors.tabs, {
+    step: "tabs",
+    optional: true,
+  });
+}
+
+/**
+ * Check whether a tab label names the All Scores view
+ * @param {string} text - Tab label
+ * @returns {boolean} - Whether it matches the site profile's All Scores label
+ */
+function isAllScoresLabel(text) {
+  return siteProfile.allScoresTab.label.test((text || "").trim());
 }
 
 /**
  * Select the "All Scores" tab
  * @param {Page} page - Puppeteer page object
+ * @returns {Object} - Which tab was clicked: { clicked, method, text, verified, attempts }
+ *   where verified is false when a fallback clicked a tab not labelled All Scores,
+ *   and attempts lists each fallback tried, in order, with what it found
  */
 async function selectAllScoresTab(page) {
   console.log("Selecting 'All Scores' tab...");
+  const [tabSelector, fallbackTabSelector] = siteProfile.selectors.tabs;
+  const { label } = siteProfile.allScoresTab;
 
-  await sleep(1500); // Add delay before tab selection
-
-  let tabClicked = await page.evaluate(() => {
-    // Method 1: Find by text content
-    const allLinks = Array.from(document.querySelectorAll("a"));
-    const allScoresLink = allLinks.find(
-      (a) =>
-        a.textContent.trim() === "All scores" ||
-        a.textContent.trim() === "All Scores" ||
-        a.textContent.trim() === "All"
-    );
-
-    if (allScoresLink) {
-      console.log("Found All Scores link by text content");
-      allScoresLink.click();
-      return true;
-    }
+  // Wait for the tab links to finish loading
+  await waitForStable(page, siteProfile.selectors.tabs, {
+    step: "tabs",
+    optional: true,
+  });
 
-    // Method 2: Find tabs and click the last one, which is typically "All Scores"
-    const tabs = document.querySelectorAll("#gcstep5 ul.nav.nav-tabs li a");
-    if (tabs.length > 0) {
-      console.log(`Found ${tabs.length} tabs`);
-      // Usually "All Scores" is the last tab
-      const lastTab = tabs[tabs.length - 1];
-      console.log(`Clicking last tab: ${lastTab.textContent}`);
-      lastTab.click();
-      return true;
-    }
+  const { tabClick: found, attempts } = await page.evaluate(
+    (labelSource, labelFlags, primaryTabs, fallbackTabs) => {
+      const tried = [];
+      const labelPattern = new RegExp(labelSource, labelFlags);
 
-    // Method 3: Find by ng-click attribute
-    const ngClickLinks = Array.from(
-      document.querySelectorAll('a[ng-click*="showTab"]')
-    );
-    if (ngClickLinks.length > 0) {
-      // Try to find the All Scores tab or just click the last one
-      let targetTab = ngClickLinks.find(
-        (link) =>
-          link.textContent.trim().toLowerCase().includes("all score") ||
-          link.textContent.trim().toLowerCase() === "all"
+      // Method 1: Find by text content
+      const allLinks = Array.from(document.querySelectorAll("a"));
+      const allScoresLink = allLinks.find((a) =>
+        labelPattern.test(a.textContent.trim())
       );
+      tried.push({
+        method: "text",
+        selector: "a",
+        found: allScoresLink ? 1 : 0,
+      });
+
+      if (allScoresLink) {
+        console.log("Found All Scores link by text content");
+        allScoresLink.click();
+        return {
+          tabClick: { method: "text", text: allScoresLink.textContent.trim() },
+          attempts: tried,
+        };
+      }
 
-      // If we can't find a specific All Scores tab, use the last tab
-      if (!targetTab) targetTab = ngClickLinks[ngClickLinks.length - 1];
+      // Method 2: Find tabs and click the last one, which is typically "All Scores"
+      const tabs = document.querySelectorAll(primaryTabs);
+      tried.push({
+        method: "last tab",
+        selector: primaryTabs,
+        found: tabs.length,
+      });
+      if (tabs.length > 0) {
+        console.log(`Found ${tabs.length} tabs`);
+        // Usually "All Scores" is the last tab
+        const lastTab = tabs[tabs.length - 1];
+        console.log(`Clicking last tab: ${lastTab.textContent}`);
+        lastTab.click();
+        return {
+          tabClick: { method: "last tab", text: lastTab.textContent.trim() },
+          attempts: tried,
+        };
+      }
 
-      console.log(`Clicking tab: ${targetTab.textContent}`);
-      targetTab.click();
-      return true;
-    }
+      // Method 3: Find by the fallback tab selector (ng-click attribute on the Pearson site)
+      const ngClickLinks = fallbackTabs
+        ? Array.from(document.querySelectorAll(fallbackTabs))
+        : [];
+      tried.push({
+        method: "ng-click",
+        selector: fallbackTabs || null,
+        found: ngClickLinks.length,
+      });
+      if (ngClickLinks.length > 0) {
+        // Try to find the All Scores tab or just click the last one
+        let targetTab = ngClickLinks.find((link) =>
+          labelPattern.test(link.textContent.trim())
+        );
+
+        // If we can't find a specific All Scores tab, use the last tab
+        if (!targetTab) targetTab = ngClickLinks[ngClickLinks.length - 1];
+
+        console.log(`Clicking tab: ${targetTab.textContent}`);
+        targetTab.click();
+        return {
+          tabClick: { method: "ng-click", text: targetTab.textContent.trim() },
+          attempts: tried,
+        };
+      }
 
-    return false;
-  });
+      return { tabClick: null, attempts: tried };
+    },
+    label.source,
+    label.flags,
+    tabSelector,
+    fallbackTabSelector
+  );
+  let tabClick = found;
 
-  if (!tabClicked) {
+  if (!tabClick) {
     console.warn(
       "Could not find All Scores tab with JavaScript, trying direct click"
     );
     try {
-      // Try several potential selectors
-      const tabSelectors = [
-        "#gcstep5 ul.nav.nav-tabs li:last-child a",
-        "#gcstep5 ul.nav.nav-tabs li:nth-child(4) a",
-        "#gcstep5 ul.nav.nav-tabs li:nth-child(3) a",
-        'a[ng-click*="showTab"]:last-child',
-      ];
-
-      for (const selector of tabSelectors) {
+      // Try the site profile's direct tab selectors
+      for (const selector of siteProfile.allScoresTab.selectors) {
         try {
           await page.click(selector);
           console.log(`Successfully clicked tab with selector: ${selector}`);
-          tabClicked = true;
+          tabClick = {
+            method: `selector ${selector}`,
+            text: await page.$eval(selector, (el) => el.textContent.trim()),
+          };
+          attempts.push({ method: "selector", selector, found: 1 });
           break;
         } catch (err) {
           // Continue to next selector
+          attempts.push({
+            method: "selector",
+            selector,
+            found: 0,
+            error: err.message,
+          });
         }
       }
     } catch (clickError) {
@@ -209,21 +486,94 @@ async function selectAllScoresTab(page) {
     }
   }
 
-  if (!tabClicked) {
+  if (!tabClick) {
     console.warn(
       "Unable to click All Scores tab after multiple attempts. Will try to continue anyway."
     );
   }
 
-  // Wait for the scores data to load
+  const selectedTab = tabClick
+    ? { clicked: true, ...tabClick, verified: isAllScoresLabel(tabClick.text) }
+    : { clicked: false, method: null, text: null, verified: false };
+  selectedTab.attempts = attempts;
+
+  if (selectedTab.clicked && !selectedTab.verified) {
+    console.warn(
+      `Clicked tab "${selectedTab.text}" (${selectedTab.method}), which is not labelled All Scores`
+    );
+  }
+
+  // Wait for the scores data to load: the table is done once the row count stops changing
   console.log("Waiting for scores data to load...");
-  await sleep(3000); // Add extra delay to ensure the tab content loads
+  await waitForStable(page, siteProfile.selectors.gradeRows, {
+    step: "grade table",
+    countOnly: true,
+    optional: true,
+  });
+
+  return selectedTab;
+}
+
+/**
+ * List the tabs of the grade conversion view
+ * @param {Page} page - Puppeteer page object
+ * @returns {Array} - Tab labels in page order
+ */
+async function listTabs(page) {
+  const { texts } = await matchSelectorTiers(page, siteProfile.selectors.tabs);
+  return texts;
+}
+
+/**
+ * Select a tab of the grade conversion view by its position
+ * @param {Page} page - Puppeteer page object
+ * @param {number} index - Position of the tab, as returned by listTabs
+ * @returns {string} - Label of the tab that was clicked
+ */
+async function selectTab(page, index) {
+  const tabText = await page.evaluate(
+    (tabIndex, tiers) => {
+      let tabs = [];
+      for (const selector of tiers) {
+        tabs = Array.from(document.querySelectorAll(selector));
+        if (tabs.length > 0) break;
+      }
+
+      const tab = tabs[tabIndex];
+      if (!tab) return null;
+
+      tab.click();
+      return tab.textContent.trim();
+    },
+    index,
+    siteProfile.selectors.tabs
+  );
+
+  if (tabText === null) {
+    throw new Error(`Tab not found at position ${index}`);
+  }
+
+  console.log(`Selected tab: ${tabText}`);
+  await waitForStable(page, siteProfile.selectors.gradeRows, {
+    step: "tab content",
+    optional: true,
+  });
+
+  return tabText;
 }
 
 module.exports = {
+  matchSelectorTiers,
+  isAllScoresLabel,
+  selectQualification,
   navigateToSession,
   selectSubject,
   selectUnit,
   selectAllScoresTab,
+  listTabs,
+  selectTab,
   sleep,
+  waitForStable,
+  configureWaits,
+  getWaitStats,
 };
@@ -0,0 +1,82 @@
+/**
+ * Capture of the JSON responses the grade conversion wizard loads in the background
+ */
+
+/**
+ * Records JSON responses received by a page while it is active
+ */
+class ResponseCapture {
+  /**
+   * @param {Page} page - Puppeteer page object
+   */
+  constructor(page) {
+    this.page = page;
+    this.responses = [];
+    this.pending = new Set();
+    this.onResponse = (response) => this.record(response);
+  }
+
+  /**
+   * Start listening for responses
+   * @returns {ResponseCapture} - This capture, for chaining
+   */
+  start() {
+    this.page.on("response", this.onResponse);
+    return this;
+  }
+
+  /**
+   * Stop listening for responses
+   */
+  stop() {
+    this.page.off("response", this.onResponse);
+  }
+
+  /**
+   * Forget everything captured so far
+   */
+  clear() {
+    this.responses = [];
+  }
+
+  /**
+   * Read and store a response body if it is JSON from an XHR or fetch request
+   * @param {HTTPResponse} response - Puppeteer response
+   */
+  record(response) {
+    const request = response.request();
+    const resourceType = request.resourceType();
+    const contentType = response.headers()["content-type"] || "";
+
+    if (!["xhr", "fetch"].includes(resourceType)) return;
+    if (!contentType.includes("json")) return;
+
+    const reading = response
+      .json()
+      .then((body) => {
+        this.responses.push({
+          url: response.url(),
+          status: response.status(),
+          body,
+        });
+      })
+      .catch(() => {
+        // Body unavailable (e.g. redirect or page navigated away)
+      })
+      .finally(() => {
+        this.pending.delete(reading);
+      });
+    this.pending.add(reading);
+  }
+
+  /**
+   * Wait for response bodies that are still being read
+   * @returns {Array} - Captured responses as { url, status, body }
+   */
+  async settle() {
+    await Promise.all([...this.pending]);
+    return this.responses;
+  }
+}
+
+module.exports = ResponseCapture;
@@ -0,0 +1,207 @@
+const { parseCommandArgs } = require("./config");
+const {
+  parseSession,
+  compareSessions,
+  resolveSourceDir,
+  loadUnits,
+} = require("./dataStore");
+const { normaliseSession, unitHistory } = require("./query");
+
+const USAGE =
+  "Usage: node index.js predict <unit code> <target session> [--source <dir>] [--json]";
+
+// Two-sided 95% t values by degrees of freedom (1 to 10), for intervals from few sessions
+const T_VALUES = [12.71, 4.3, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23];
+// Used beyond 10 degrees of freedom; slightly wide, which errs on the cautious side
+const T_VALUE_LARGE = 2.2;
+
+// Sessions a model needs before its interval is used to choose the prediction
+const MIN_SESSIONS = 2;
+
+/**
+ * Estimate a boundary from past values as a mean with a 95% prediction interval
+ * A single past value gives no spread, so its range is just that value
+ * Values are fractions of the maximum raw mark, so papers with different totals compare
+ * @param {Array} fractions - Past boundaries as fractions of each paper's maximum mark
+ * @param {number} maxRaw - Maximum raw mark to scale the estimate to
+ * @returns {Object|null} - { estimate, low, high } in raw marks, or null with no history
+ */
+function estimate(fractions, maxRaw) {
+  const n = fractions.length;
+  if (n === 0) return null;
+
+  const mean = fractions.reduce((sum, value) => sum + value, 0) / n;
+  let margin = 0;
+  if (n > 1) {
+    const variance =
+      fractions.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+    const t = T_VALUES[n - 2] || T_VALUE_LARGE;
+    margin = t * Math.sqrt(variance) * Math.sqrt(1 + 1 / n);
+  }
+
+  const toRaw = (fraction) =>
+    Math.min(maxRaw, Math.max(0, Math.round(fraction * maxRaw)));
+  return {
+    estimate: toRaw(mean),
+    low: toRaw(mean - margin),
+    high: toRaw(mean + margin),
+  };
+}
+
+/**
+ * Predict a unit's raw mark boundaries for a target session
+ * Two models are fitted: past sessions in the target's month, and all past sessions
+ * Uses sessions before the target only, so a past session can be checked against its actual boundaries
+ * @param {Array} units - Units from loadUnits
+ * @param {string} unitCode - Unit code (e.g. WCH11)
+ * @param {string} targetSession - Session to predict (e.g. June 2025)
+ * @returns {Object} - { unitCode, unit, targetSession, maxRaw, sameMonth, allMonths, grades }
+ */
+function predictBoundaries(units, unitCode, targetSession) {
+  const target = parseSession(targetSession);
+  if (!target.month || !target.year) {
+    throw new Error(
+      `Target session must be a month and year (e.g. June 2025), got "${targetSession}"`
+    );
+  }
+  const targetName = `${target.month} ${target.year}`;
+
+  const history = unitHistory(units, unitCode);
+  if (history.length === 0) {
+    throw new Error(`No data found for ${unitCode}`);
+  }
+  const past = history.filter(
+    (unit) => compareSessions(unit.session, targetName) < 0
+  );
+  if (past.length === 0) {
+    throw new Error(`No sessions of ${unitCode} before ${targetName}`);
+  }
+  const sameMonth = past.filter(
+    (unit) => parseSession(unit.session).month === target.month
+  );
+  const actual = history.find(
+    (unit) => normaliseSession(unit.session) === normaliseSession(targetName)
+  );
+
+  // Assume the next paper has the same total as the most recent one
+  const latest = past[past.length - 1];
+  const maxRaw = latest.summary.maxRaw;
+
+  const grades = Object.keys(latest.summary.grades).filter(
+    (grade) => grade !== "U"
+  );
+  const fractionsFor = (sessions, grade) =>
+    sessions
+      .filter((unit) => unit.summary.grades[grade])
+      .map((unit) => unit.summary.grades[grade].minRaw / unit.summary.maxRaw);
+
+  return {
+    unitCode: latest.unitCode,
+    unit: latest.unit,
+    targetSession: targetName,
+    maxRaw,
+    sameMonth: sameMonth.map((unit) => unit.session),
+    allMonths: past.map((unit) => unit.session),
+    grades: grades.map((grade) => {
+      const sameMonthEstimate = estimate(
+        fractionsFor(sameMonth, grade),
+        maxRaw
+      );
+      const allMonthsEstimate = estimate(fractionsFor(past, grade), maxRaw);
+      // Prefer the same-month model when it has enough sessions and the narrower
+      // interval; the all-months model covers those sessions too, so it always has enough
+      const sameMonthCount = fractionsFor(sameMonth, grade).length;
+      const width = (result) => result.high - result.low;
+      const useSameMonth =
+        sameMonthCount >= MIN_SESSIONS &&
+        width(sameMonthEstimate) <= width(allMonthsEstimate);
+      const actualBoundary = actual && actual.summary.grades[grade];
+
+      return {
+        grade,
+        predicted: useSameMonth ? sameMonthEstimate : allMonthsEstimate,
+        model: useSameMonth ? "same month" : "all months",
+        sameMonth: sameMonthEstimate,
+        allMonths: allMonthsEstimate,
+        actual: actualBoundary ? actualBoundary.minRaw : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Format an estimate for the terminal
+ * @param {Object|null} result - Estimate from estimate()
+ * @returns {string} - e.g. "55 (49-61)"
+ */
+function formatEstimate(result) {
+  if (!result) return "-";
+  return result.low === result.high
+    ? `${result.estimate}`
+    : `${result.estimate} (${result.low}-${result.high})`;
+}
+
+/**
+ * Run the predict command
+ * @param {Array} argv - Arguments after "predict"
+ */
+async function runPredict(argv) {
+  const { options, positionals } = parseCommandArgs(argv, {
+    values: { "--source": "source" },
+    booleans: { "--json": "json" },
+  });
+
+  // The session may be given unquoted (predict WCH11 June 2025)
+  const [unitCode, ...sessionWords] = positionals;
+  const targetSession = sessionWords.join(" ");
+  if (!unitCode || !targetSession) {
+    throw new Error(USAGE);
+  }
+
+  const units = await loadUnits(await resolveSourceDir(options.source));
+  const prediction = predictBoundaries(units, unitCode, targetSession);
+
+  if (options.json) {
+    console.log(JSON.stringify(prediction, null, 2));
+    return;
+  }
+
+  const hasActual = prediction.grades.some((entry) => entry.actual !== null);
+  const header = [
+    "Grade",
+    "Predicted",
+    "Model",
+    "Same month",
+    "All months",
+    ...(hasActual ? ["Actual"] : []),
+  ];
+  const rows = prediction.grades.map((entry) => [
+    entry.grade,
+    formatEstimate(entry.predicted),
+    entry.model,
+    formatEstimate(entry.sameMonth),
+    formatEstimate(entry.allMonths),
+    ...(hasActual ? [entry.actual === null ? "-" : String(entry.actual)] : []),
+  ]);
+  const widths = header.map((_, i) =>
+    Math.max(...[header, ...rows].map((row) => row[i].length))
+  );
+  const line = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ");
+
+  console.log(
+    `${prediction.unit} - predicted raw mark boundaries for ${prediction.targetSession} (out of ${prediction.maxRaw})`
+  );
+  console.log("Ranges are 95% prediction intervals from past sessions\n");
+  console.log(line(header));
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  rows.forEach((row) => console.log(line(row)));
+  console.log(
+    `\nSame month sessions used: ${prediction.sameMonth.join(", ") || "none"}`
+  );
+  console.log(`All months sessions used: ${prediction.allMonths.join(", ")}`);
+}
+
+module.exports = {
+  predictBoundaries,
+  runPredict,
+};
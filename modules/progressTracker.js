@@ -1,9 +1,14 @@
 const fs = require("fs").promises;
 const path = require("path");
+const { writeFileAtomic } = require("./atomicFile");
 
 class ProgressTracker {
   constructor(filePath) {
     this.filePath = filePath;
+    // Copy of the last progress file that was saved in full
+    this.backupPath = `${filePath}.bak`;
+    // Chain of pending writes, so concurrent saves never overlap on disk
+    this.pendingSave = Promise.resolve();
     this.progress = {
       completed: {},
       failed: {},
@@ -22,37 +27,138 @@ class ProgressTracker {
 
   /**
    * Initialize the progress tracker
-   * Creates the progress file if it doesn't exist
+   * Creates the progress file if it doesn't exist. A progress file that cannot be
+   * read is moved aside and replaced by its backup; with no usable backup either,
+   * an error is thrown rather than starting over and losing the recorded progress
    */
   async initialize() {
-    try {
-      const data = await fs.readFile(this.filePath, "utf8");
-      this.progress = JSON.parse(data);
-      // Add completedSessions object if it doesn't exist (for backward compatibility)
-      if (!this.progress.completedSessions) {
-        this.progress.completedSessions = {};
-      }
-      if (!this.progress.stats.completedSessions) {
-        this.progress.stats.completedSessions = 0;
-      }
-      console.log("Progress tracker loaded successfully");
-    } catch (error) {
-      // If file doesn't exist or is invalid, create a new one
+    let progress = await this.readProgressFile(this.filePath);
+
+    if (progress === null) {
       console.log("Creating new progress tracker");
       await this.save();
+      return;
+    }
+
+    if (progress instanceof Error) {
+      const backup = await this.readProgressFile(this.backupPath);
+      if (backup === null || backup instanceof Error) {
+        throw new Error(
+          `Progress file ${this.filePath} cannot be read (${
+            progress.message
+          }) and there is no usable backup at ${this.backupPath}${
+            backup ? ` (${backup.message})` : ""
+          }. Repair the file, or move it aside to start a new tracker.`
+        );
+      }
+
+      // Keep the unreadable file for inspection
+      const corruptPath = `${this.filePath}.corrupt-${new Date()
+        .toISOString()
+        .replace(/:/g, "-")}`;
+      await fs.rename(this.filePath, corruptPath);
+      console.warn(
+        `Progress file ${this.filePath} cannot be read (${
+          progress.message
+        }); moved it to ${corruptPath} and restored the backup from ${
+          backup.lastUpdate || "an unknown time"
+        }`
+      );
+      progress = backup;
+      // Put the restored progress back in place straight away
+      this.progress = progress;
+      await this.save();
+    }
+
+    this.progress = progress;
+    // Add completedSessions object if it doesn't exist (for backward compatibility)
+    if (!this.progress.completedSessions) {
+      this.progress.completedSessions = {};
+    }
+    if (!this.progress.stats.completedSessions) {
+      this.progress.stats.completedSessions = 0;
+    }
+    // Older progress files list failed units without their error details
+    this.migrateFailedUnits();
+    console.log("Progress tracker loaded successfully");
+  }
+
+  /**
+   * Read and check a progress file
+   * @param {string} filePath - Progress file or its backup
+   * @returns {Object|Error|null} - Parsed progress, why it is unusable, or null if there is no file
+   */
+  async readProgressFile(filePath) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      return error;
+    }
+
+    let progress;
+    try {
+      progress = JSON.parse(data);
+    } catch (error) {
+      return error;
+    }
+    if (
+      !progress ||
+      typeof progress.completed !== "object" ||
+      typeof progress.failed !== "object" ||
+      typeof progress.stats !== "object"
+    ) {
+      return new Error("missing its completed, failed or stats sections");
+    }
+    return progress;
+  }
+
+  /**
+   * Convert failed unit lists from older progress files into failure records
+   */
+  migrateFailedUnits() {
+    for (const sessions of Object.values(this.progress.failed)) {
+      for (const subjects of Object.values(sessions)) {
+        for (const [subject, units] of Object.entries(subjects)) {
+          if (!Array.isArray(units)) continue;
+
+          subjects[subject] = {};
+          for (const unit of units) {
+            subjects[subject][unit] = {
+              error: null,
+              attempts: 1,
+              firstFailed: null,
+              lastFailed: null,
+            };
+          }
+        }
+      }
     }
   }
 
   /**
    * Save the current progress to file
+   * Writes are queued behind any save still in progress, each with the state at call time.
+   * The file being replaced was itself written in full, so it becomes the backup
    */
   async save() {
     this.progress.lastUpdate = new Date().toISOString();
-    await fs.writeFile(
-      this.filePath,
-      JSON.stringify(this.progress, null, 2),
-      "utf8"
-    );
+    const contents = JSON.stringify(this.progress, null, 2);
+
+    const write = this.pendingSave
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+          await fs.copyFile(this.filePath, this.backupPath);
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+        }
+        await writeFileAtomic(this.filePath, contents);
+      });
+    this.pendingSave = write;
+    await write;
   }
 
   /**
@@ -129,9 +235,79 @@ class ProgressTracker {
     if (!this.progress.failed[qualificationType][session][subject]) {
       return false;
     }
-    return this.progress.failed[qualificationType][session][subject].includes(
-      unit
+    return !!this.progress.failed[qualificationType][session][subject][unit];
+  }
+
+  /**
+   * Get the failure record for a unit
+   * @param {string} qualificationType - The qualification type
+   * @param {string} session - The exam session
+   * @param {string} subject - The subject
+   * @param {string} unit - The unit
+   * @returns {object|null} - The error, attempt count and failure timestamps, or null
+   */
+  getFailure(qualificationType, session, subject, unit) {
+    if (!this.hasFailed(qualificationType, session, subject, unit)) {
+      return null;
+    }
+    return this.progress.failed[qualificationType][session][subject][unit];
+  }
+
+  /**
+   * List every failed unit with its failure record
+   * @returns {Array} - Objects with qualificationType, session, subject, unit and the failure record
+   */
+  getFailedUnits() {
+    const failedUnits = [];
+    for (const [qualificationType, sessions] of Object.entries(
+      this.progress.failed
+    )) {
+      for (const [session, subjects] of Object.entries(sessions)) {
+        for (const [subject, units] of Object.entries(subjects)) {
+          for (const [unit, failure] of Object.entries(units)) {
+            failedUnits.push({
+              qualificationType,
+              session,
+              subject,
+              unit,
+              ...failure,
+            });
+          }
+        }
+      }
+    }
+    return failedUnits;
+  }
+
+  /**
+   * Remove a unit's failure record
+   * @param {string} qualificationType - The qualification type
+   * @param {string} session - The exam session
+   * @param {string} subject - The subject
+   * @param {string} unit - The unit
+   */
+  clearFailure(qualificationType, session, subject, unit) {
+    if (!this.hasFailed(qualificationType, session, subject, unit)) {
+      return;
+    }
+
+    const sessions = this.progress.failed[qualificationType];
+    delete sessions[session][subject][unit];
+    this.progress.stats.failedUnits = Math.max(
+      0,
+      this.progress.stats.failedUnits - 1
     );
+
+    // Drop empty containers so the file only lists real failures
+    if (Object.keys(sessions[session][subject]).length === 0) {
+      delete sessions[session][subject];
+    }
+    if (Object.keys(sessions[session]).length === 0) {
+      delete sessions[session];
+    }
+    if (Object.keys(sessions).length === 0) {
+      delete this.progress.failed[qualificationType];
+    }
   }
 
   /**
@@ -159,32 +335,69 @@ class ProgressTracker {
       this.progress.completed[qualificationType][session][subject].push(unit);
       this.progress.stats.completedUnits++;
     }
+
+    // A unit that succeeds on retry is no longer failed
+    this.clearFailure(qualificationType, session, subject, unit);
   }
 
   /**
-   * Mark a unit as failed
+   * Mark a unit as failed, or record another failed attempt
    * @param {string} qualificationType - The qualification type
    * @param {string} session - The exam session
    * @param {string} subject - The subject
    * @param {string} unit - The unit
    * @param {string} error - The error message
+   * @param {object} details - Optional details of the latest failure
+   * @param {object} details.quarantine - Validation problems and quarantined file, if the data failed validation
+   * @param {string} details.step - Step the unit failed at
+   * @param {string} details.diagnostics - Folder holding the failure's screenshot, page and console log
+   * @returns {object} - The updated failure record
    */
-  markAsFailed(qualificationType, session, subject, unit, error) {
+  markAsFailed(
+    qualificationType,
+    session,
+    subject,
+    unit,
+    error,
+    { quarantine = null, step = null, diagnostics = null } = {}
+  ) {
     // Initialize nested objects if they don't exist
     this.progress.failed[qualificationType] =
       this.progress.failed[qualificationType] || {};
     this.progress.failed[qualificationType][session] =
       this.progress.failed[qualificationType][session] || {};
     this.progress.failed[qualificationType][session][subject] =
-      this.progress.failed[qualificationType][session][subject] || [];
+      this.progress.failed[qualificationType][session][subject] || {};
+
+    const units = this.progress.failed[qualificationType][session][subject];
+    const now = new Date().toISOString();
 
     // Add the unit with error if it's not already marked as failed
-    if (
-      !this.progress.failed[qualificationType][session][subject].includes(unit)
-    ) {
-      this.progress.failed[qualificationType][session][subject].push(unit);
+    if (!units[unit]) {
+      units[unit] = { error: null, attempts: 0, firstFailed: now };
       this.progress.stats.failedUnits++;
     }
+
+    units[unit].error = error || "Unknown error";
+    units[unit].attempts++;
+    units[unit].lastFailed = now;
+    if (!units[unit].firstFailed) {
+      units[unit].firstFailed = now;
+    }
+    // Details describe the latest attempt only
+    for (const [key, value] of Object.entries({
+      quarantine,
+      step,
+      diagnostics,
+    })) {
+      if (value) {
+        units[unit][key] = value;
+      } else {
+        delete units[unit][key];
+      }
+    }
+
+    return units[unit];
   }
 
   /**
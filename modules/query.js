@@ -0,0 +1,275 @@
+const { parseCommandArgs } = require("./config");
+const { compareSessions, resolveSourceDir, loadUnits } = require("./dataStore");
+const { normaliseGrade } = require("./dataProcessor");
+
+const USAGE =
+  "Usage: node index.js query <unit code> <session> (--raw <mark> | --ums <target> | --grade <grade>) [--source <dir>] [--json]";
+
+/**
+ * Normalise a unit code for matching, so "wph11", "WPH11/01" and "WPH11-01" compare alike
+ * @param {string} code - Unit code
+ * @returns {string} - Upper-case code with "-" as separator
+ */
+function normaliseCode(code) {
+  return code.trim().toUpperCase().replace(/\//g, "-");
+}
+
+/**
+ * Normalise a session name for matching, so "june_2024" matches "June 2024"
+ * @param {string} session - Session name
+ * @returns {string} - Lower-case name with single spaces
+ */
+function normaliseSession(session) {
+  return session
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+}
+
+/**
+ * Check whether a stored unit has a unit code
+ * A code without a paper number (e.g. WPH11) matches any paper of that unit
+ * @param {Object} unit - Unit from loadUnits
+ * @param {string} code - Normalised unit code
+ * @returns {boolean} - Whether the unit matches
+ */
+function hasCode(unit, code) {
+  return unit.unitCode === code || unit.unitCode.startsWith(`${code}-`);
+}
+
+/**
+ * Prefer the standard paper over lettered variants (e.g. WMA11-01 over WMA11-01R)
+ * when a code matched both
+ * @param {Array} matches - Units matching a code in one session
+ * @returns {Array} - The standard paper's units, or all matches if there is no single one
+ */
+function preferStandardPaper(matches) {
+  const standard = matches.filter((unit) => /-\d{2}$/.test(unit.unitCode));
+  const standardCodes = new Set(standard.map((unit) => unit.unitCode));
+  return standardCodes.size === 1 && standard.length < matches.length
+    ? standard
+    : matches;
+}
+
+/**
+ * List the stored units for a unit code and session
+ * @param {Array} units - Units from loadUnits
+ * @param {string} unitCode - Unit code (e.g. WPH11 or WPH11-01)
+ * @param {string} session - Session name (e.g. June 2024)
+ * @returns {Array} - Matching units
+ */
+function matchUnits(units, unitCode, session) {
+  const code = normaliseCode(unitCode);
+  const sessionName = normaliseSession(session);
+
+  return preferStandardPaper(
+    units.filter(
+      (unit) =>
+        normaliseSession(unit.session) === sessionName && hasCode(unit, code)
+    )
+  );
+}
+
+/**
+ * Collect one stored unit per session for a unit code, oldest session first
+ * @param {Array} units - Units from loadUnits
+ * @param {string} unitCode - Unit code (e.g. WCH11)
+ * @returns {Array} - Units in chronological order
+ */
+function unitHistory(units, unitCode) {
+  const code = normaliseCode(unitCode);
+  const bySession = new Map();
+  for (const unit of units.filter((candidate) => hasCode(candidate, code))) {
+    const matches = bySession.get(unit.session) || [];
+    matches.push(unit);
+    bySession.set(unit.session, matches);
+  }
+
+  const history = [];
+  for (const [session, matches] of bySession) {
+    const preferred = preferStandardPaper(matches);
+    const codes = [...new Set(preferred.map((unit) => unit.unitCode))];
+    if (codes.length > 1) {
+      throw new Error(
+        `${unitCode} matches several units in ${session}: ${codes.join(
+          ", "
+        )}. Give the full unit code.`
+      );
+    }
+    // The same unit can be stored under several subjects; any copy will do
+    history.push(preferred[0]);
+  }
+
+  return history.sort((a, b) => compareSessions(a.session, b.session));
+}
+
+/**
+ * Find the stored unit for a unit code and session
+ * @param {Array} units - Units from loadUnits
+ * @param {string} unitCode - Unit code (e.g. WPH11 or WPH11-01)
+ * @param {string} session - Session name (e.g. June 2024)
+ * @returns {Object} - The matching unit
+ */
+function findUnit(units, unitCode, session) {
+  const matches = matchUnits(units, unitCode, session);
+  if (matches.length === 0) {
+    throw new Error(`No data found for ${unitCode} in ${session}`);
+  }
+
+  // The same unit can be stored under several subjects (e.g. shared maths units)
+  const codes = [...new Set(matches.map((unit) => unit.unitCode))];
+  if (codes.length > 1) {
+    throw new Error(
+      `${unitCode} matches several units in ${session}: ${codes.join(
+        ", "
+      )}. Give the full unit code.`
+    );
+  }
+
+  return matches[0];
+}
+
+/**
+ * Look up the conversion row for a raw mark
+ * @param {Object} unit - Unit from loadUnits
+ * @param {number} raw - Raw mark
+ * @returns {Object} - RAW/UMS/GRADE row
+ */
+function lookupRaw(unit, raw) {
+  const row = unit.rows.find((candidate) => candidate.RAW === raw);
+  if (!row) {
+    throw new Error(
+      `Raw mark ${raw} is not in the table for ${unit.unitCode} (0 to ${unit.summary.maxRaw})`
+    );
+  }
+  return row;
+}
+
+/**
+ * Find the lowest raw mark reaching a UMS target
+ * @param {Object} unit - Unit from loadUnits
+ * @param {number} ums - UMS target
+ * @returns {Object} - RAW/UMS/GRADE row of the lowest qualifying raw mark
+ */
+function lookupUms(unit, ums) {
+  const row = unit.rows
+    .filter((candidate) => candidate.UMS >= ums)
+    .sort((a, b) => a.RAW - b.RAW)[0];
+  if (!row) {
+    throw new Error(
+      `No raw mark reaches ${ums} UMS on ${unit.unitCode} (maximum ${unit.summary.maxUms})`
+    );
+  }
+  return row;
+}
+
+/**
+ * Find the lowest raw mark needed for a grade
+ * @param {Object} unit - Unit from loadUnits
+ * @param {string} grade - Grade (e.g. A, A* or *)
+ * @returns {Object} - RAW/UMS/GRADE row of the grade boundary
+ */
+function lookupGrade(unit, grade) {
+  const label = normaliseGrade(grade);
+  const boundary = unit.summary.grades[label];
+  if (!boundary) {
+    throw new Error(
+      `Grade ${grade} is not used on ${unit.unitCode} (grades: ${Object.keys(
+        unit.summary.grades
+      ).join(", ")})`
+    );
+  }
+  return lookupRaw(unit, boundary.minRaw);
+}
+
+/**
+ * Parse a whole number given for a query option
+ * @param {string} name - Option name, for error messages
+ * @param {string} value - Value from the command line
+ * @returns {number} - Parsed number
+ */
+function parseMark(name, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a whole number, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Run the query command
+ * @param {Array} argv - Arguments after "query"
+ */
+async function runQuery(argv) {
+  const { options, positionals } = parseCommandArgs(argv, {
+    values: {
+      "--raw": "raw",
+      "--ums": "ums",
+      "--grade": "grade",
+      "--source": "source",
+    },
+    booleans: { "--json": "json" },
+  });
+
+  // The session may be given unquoted (query WPH11 June 2024 ...)
+  const [unitCode, ...sessionWords] = positionals;
+  const session = sessionWords.join(" ");
+  const questions = ["raw", "ums", "grade"].filter(
+    (key) => options[key] !== undefined
+  );
+  if (!unitCode || !session || questions.length !== 1) {
+    throw new Error(USAGE);
+  }
+
+  const units = await loadUnits(await resolveSourceDir(options.source));
+  const unit = findUnit(units, unitCode, session);
+
+  let row;
+  let question;
+  if (options.raw !== undefined) {
+    row = lookupRaw(unit, parseMark("--raw", options.raw));
+    question = `Raw mark ${row.RAW}`;
+  } else if (options.ums !== undefined) {
+    const target = parseMark("--ums", options.ums);
+    row = lookupUms(unit, target);
+    question = `Lowest raw mark for ${target} UMS`;
+  } else {
+    row = lookupGrade(unit, options.grade);
+    question = `Lowest raw mark for grade ${normaliseGrade(options.grade)}`;
+  }
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        {
+          qualificationType: unit.qualificationType,
+          session: unit.session,
+          subject: unit.subject,
+          unit: unit.unit,
+          unitCode: unit.unitCode,
+          maxRaw: unit.summary.maxRaw,
+          maxUms: unit.summary.maxUms,
+          ...row,
+        },
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  console.log(`${unit.unit} (${unit.subject}, ${unit.session})`);
+  console.log(
+    `${question}: RAW ${row.RAW}/${unit.summary.maxRaw}, UMS ${row.UMS}/${unit.summary.maxUms}, grade ${row.GRADE}`
+  );
+}
+
+module.exports = {
+  normaliseSession,
+  matchUnits,
+  unitHistory,
+  findUnit,
+  lookupRaw,
+  lookupUms,
+  lookupGrade,
+  runQuery,
+};
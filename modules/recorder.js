@@ -0,0 +1,278 @@
+/**
+ * Recording of live scraping sessions, and replay of those recordings in place of the site
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { unitFilePath } = require("./dataProcessor");
+
+// Headers describing the encoding of the original transfer, which no longer applies to
+// the decoded bodies that are stored
+const TRANSFER_HEADERS = [
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+];
+
+/**
+ * Build the key a request is recorded and replayed under
+ * @param {HTTPRequest} request - Puppeteer request
+ * @returns {string} - Method, URL and any POST body
+ */
+function requestKey(request) {
+  const postData = request.postData();
+  return `${request.method()} ${request.url()}${postData ? ` ${postData}` : ""}`;
+}
+
+/**
+ * Records every network response, plus DOM snapshots and a screenshot per unit
+ * Layout of the recording directory:
+ *   recording.json - base URL and start time of the run
+ *   network.jsonl - one line per response: { key, url, status, headers, body }
+ *   network/ - response bodies, named by their position in network.jsonl
+ *   units/<qual>/<session>/<subject>/<unit>/ - numbered step snapshots and screenshot.png
+ */
+class SessionRecorder {
+  /**
+   * @param {string} dir - Directory to record into
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.count = 0;
+    // Chain of pending writes, so network.jsonl lines never interleave
+    this.pendingWrite = Promise.resolve();
+    this.pending = new Set();
+  }
+
+  /**
+   * Create the recording directory and note what the run is scraping
+   * @param {string} baseUrl - Page hosting the grade conversion wizard
+   */
+  async start(baseUrl) {
+    await fs.mkdir(path.join(this.dir, "network"), { recursive: true });
+    await fs.writeFile(
+      path.join(this.dir, "recording.json"),
+      JSON.stringify({ baseUrl, started: new Date().toISOString() }, null, 2),
+      "utf8"
+    );
+    console.log(`Recording the session to ${this.dir}`);
+  }
+
+  /**
+   * Start recording a page's network responses
+   * @param {Page} page - Puppeteer page
+   */
+  attach(page) {
+    page.on("response", (response) => {
+      const reading = this.record(response).finally(() => {
+        this.pending.delete(reading);
+      });
+      this.pending.add(reading);
+    });
+  }
+
+  /**
+   * Store one response and its body
+   * @param {HTTPResponse} response - Puppeteer response
+   */
+  async record(response) {
+    const request = response.request();
+    const headers = { ...response.headers() };
+    TRANSFER_HEADERS.forEach((name) => delete headers[name]);
+
+    // Redirects and some cached responses have no body to read
+    let body = null;
+    try {
+      body = await response.buffer();
+    } catch (error) {
+      body = null;
+    }
+
+    const index = ++this.count;
+    const entry = {
+      key: requestKey(request),
+      url: response.url(),
+      status: response.status(),
+      headers,
+      body: body ? `network/${String(index).padStart(6, "0")}.bin` : null,
+    };
+
+    const write = this.pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        if (body) await fs.writeFile(path.join(this.dir, entry.body), body);
+        await fs.appendFile(
+          path.join(this.dir, "network.jsonl"),
+          `${JSON.stringify(entry)}\n`,
+          "utf8"
+        );
+      });
+    this.pendingWrite = write;
+    await write;
+  }
+
+  /**
+   * Get the directory a unit's snapshots go in
+   * @param {Object} unit - Qualification type, session, subject and unit
+   * @returns {string} - Unit recording directory
+   */
+  unitDir(unit) {
+    return unitFilePath(path.join(this.dir, "units"), unit).replace(
+      /\.json$/,
+      ""
+    );
+  }
+
+  /**
+   * Save the page's DOM as a numbered step of a unit
+   * @param {Page} page - Puppeteer page
+   * @param {Object} unit - Qualification type, session, subject and unit
+   * @param {string} step - Step name (e.g. "unit-list")
+   */
+  async snapshot(page, unit, step) {
+    try {
+      const dir = this.unitDir(unit);
+      await fs.mkdir(dir, { recursive: true });
+      const taken = (await fs.readdir(dir)).filter((name) =>
+        name.endsWith(".html")
+      ).length;
+      const file = `${String(taken + 1).padStart(2, "0")}-${step}.html`;
+      await fs.writeFile(path.join(dir, file), await page.content(), "utf8");
+    } catch (error) {
+      console.warn(`Could not record the ${step} step: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a screenshot of the whole page for a unit
+   * @param {Page} page - Puppeteer page
+   * @param {Object} unit - Qualification type, session, subject and unit
+   */
+  async screenshot(page, unit) {
+    try {
+      const dir = this.unitDir(unit);
+      await fs.mkdir(dir, { recursive: true });
+      await page.screenshot({
+        path: path.join(dir, "screenshot.png"),
+        fullPage: true,
+      });
+    } catch (error) {
+      console.warn(`Could not record a screenshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for responses that are still being written
+   */
+  async finish() {
+    await Promise.all([...this.pending]);
+    await this.pendingWrite.catch(() => {});
+    console.log(`Recorded ${this.count} responses to ${this.dir}`);
+  }
+}
+
+/**
+ * Serves a recording back to pages through request interception, so nothing reaches the site
+ * A request recorded several times gets its responses in the order they were recorded,
+ * then the last one again
+ */
+class SessionReplay {
+  /**
+   * @param {string} dir - Directory of a recording made by SessionRecorder
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    this.responses = new Map();
+    this.served = new Map();
+    this.missed = new Set();
+  }
+
+  /**
+   * Load the recording
+   * @returns {Object} - The recording's details (baseUrl, started)
+   */
+  async load() {
+    let details;
+    let lines;
+    try {
+      details = JSON.parse(
+        await fs.readFile(path.join(this.dir, "recording.json"), "utf8")
+      );
+      lines = (
+        await fs.readFile(path.join(this.dir, "network.jsonl"), "utf8")
+      ).split("\n");
+    } catch (error) {
+      throw new Error(`Could not read recording ${this.dir}: ${error.message}`);
+    }
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      // A run killed mid-write can leave a partial last line
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      const entries = this.responses.get(entry.key) || [];
+      entries.push(entry);
+      this.responses.set(entry.key, entries);
+    }
+
+    console.log(
+      `Replaying ${this.responses.size} recorded requests from ${this.dir} (recorded ${details.started})`
+    );
+    return details;
+  }
+
+  /**
+   * Answer a page's requests from the recording
+   * @param {Page} page - Puppeteer page
+   */
+  async attach(page) {
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      this.respond(request).catch((error) => {
+        console.warn(`Replay failed for ${request.url()}: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Answer one request with its recorded response, or a 404 if it was never recorded
+   * @param {HTTPRequest} request - Puppeteer request
+   */
+  async respond(request) {
+    if (request.url().startsWith("data:")) {
+      await request.continue();
+      return;
+    }
+
+    const key = requestKey(request);
+    const entries = this.responses.get(key);
+    if (!entries) {
+      if (!this.missed.has(key)) {
+        this.missed.add(key);
+        console.warn(`Not in the recording, answering 404: ${key}`);
+      }
+      await request.respond({ status: 404, body: "" });
+      return;
+    }
+
+    const position = this.served.get(key) || 0;
+    this.served.set(key, position + 1);
+    const entry = entries[Math.min(position, entries.length - 1)];
+
+    await request.respond({
+      status: entry.status,
+      headers: entry.headers,
+      body: entry.body
+        ? await fs.readFile(path.join(this.dir, entry.body))
+        : "",
+    });
+  }
+}
+
+module.exports = {
+  SessionRecorder,
+  SessionReplay,
+};
@@ -0,0 +1,339 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { parseCommandArgs } = require("./config");
+const { resolveSourceDir, loadUnits } = require("./dataStore");
+const { unitHistory } = require("./query");
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "reports");
+// A boundary move of at least this share of the paper's maximum raw mark is notable
+const DEFAULT_SHIFT_PERCENT = 5;
+
+const USAGE =
+  "Usage: node index.js report <unit code> [--source <dir>] [--out <file.md|file.html>] [--format md|html] [--threshold <percent>]";
+
+/**
+ * Round a number to one decimal place
+ * @param {number} value - Number to round
+ * @returns {number} - Rounded number
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Build the cross-session trend of a unit's raw mark boundaries
+ * The U boundary is always 0, so it is left out
+ * @param {Array} units - Units from loadUnits
+ * @param {string} unitCode - Unit code (e.g. WCH11)
+ * @param {number} shiftPercent - Smallest notable move, as a percentage of the maximum raw mark
+ * @returns {Object} - { unitCode, unit, grades, sessions, stats, shifts }
+ */
+function buildTrend(units, unitCode, shiftPercent = DEFAULT_SHIFT_PERCENT) {
+  const history = unitHistory(units, unitCode);
+  if (history.length === 0) {
+    throw new Error(`No data found for ${unitCode}`);
+  }
+
+  // Grades in the order of the most recent session, then any older ones
+  const grades = [];
+  for (const unit of [...history].reverse()) {
+    for (const grade of Object.keys(unit.summary.grades)) {
+      if (grade !== "U" && !grades.includes(grade)) grades.push(grade);
+    }
+  }
+
+  const sessions = history.map((unit) => {
+    const boundaries = {};
+    for (const grade of grades) {
+      const boundary = unit.summary.grades[grade];
+      boundaries[grade] = boundary ? boundary.minRaw : null;
+    }
+    return {
+      session: unit.session,
+      unitCode: unit.unitCode,
+      maxRaw: unit.summary.maxRaw,
+      boundaries,
+    };
+  });
+
+  const stats = {};
+  const shifts = [];
+  for (const grade of grades) {
+    const values = sessions
+      .map((entry) => entry.boundaries[grade])
+      .filter((value) => value !== null);
+    stats[grade] = {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      mean: round(
+        values.reduce((sum, value) => sum + value, 0) / values.length
+      ),
+    };
+
+    // Compare each session with the previous one that had this grade
+    let previous = null;
+    for (const entry of sessions) {
+      const value = entry.boundaries[grade];
+      if (value === null) continue;
+      if (previous) {
+        const change = value - previous.boundaries[grade];
+        const limit = (entry.maxRaw * shiftPercent) / 100;
+        if (change !== 0 && Math.abs(change) >= limit) {
+          shifts.push({
+            grade,
+            from: previous.session,
+            to: entry.session,
+            before: previous.boundaries[grade],
+            after: value,
+            change,
+          });
+        }
+      }
+      previous = entry;
+    }
+  }
+
+  return {
+    unitCode: history[history.length - 1].unitCode,
+    unit: history[history.length - 1].unit,
+    shiftPercent,
+    grades,
+    sessions,
+    stats,
+    shifts,
+  };
+}
+
+/**
+ * Lay out the trend as rows of cells: one row per session, then the statistics
+ * Notable moves are marked with an arrow after the boundary
+ * @param {Object} trend - Trend from buildTrend
+ * @returns {Object} - { header, body, footer } arrays of string cells
+ */
+function trendRows(trend) {
+  const marked = new Map(
+    trend.shifts.map((shift) => [
+      `${shift.to}|${shift.grade}`,
+      shift.change > 0 ? "↑" : "↓",
+    ])
+  );
+
+  const header = ["Session", "Max", ...trend.grades];
+  const body = trend.sessions.map((entry) => [
+    entry.session,
+    String(entry.maxRaw),
+    ...trend.grades.map((grade) => {
+      const value = entry.boundaries[grade];
+      if (value === null) return "-";
+      return `${value}${marked.get(`${entry.session}|${grade}`) || ""}`;
+    }),
+  ]);
+  const footer = ["min", "max", "mean"].map((stat) => [
+    stat,
+    "",
+    ...trend.grades.map((grade) => String(trend.stats[grade][stat])),
+  ]);
+
+  return { header, body, footer };
+}
+
+/**
+ * Describe a notable boundary move
+ * @param {Object} shift - Shift from buildTrend
+ * @returns {string} - e.g. "A: 61 -> 55 (-6) from June 2023 to October 2023"
+ */
+function describeShift(shift) {
+  const sign = shift.change > 0 ? "+" : "";
+  return `${shift.grade}: ${shift.before} -> ${shift.after} (${sign}${shift.change}) from ${shift.from} to ${shift.to}`;
+}
+
+/**
+ * Render the trend as a plain text table for the terminal
+ * @param {Object} trend - Trend from buildTrend
+ * @returns {string} - Text table followed by the notable shifts
+ */
+function renderText(trend) {
+  const { header, body, footer } = trendRows(trend);
+  const all = [header, ...body, ...footer];
+  const widths = header.map((_, i) =>
+    Math.max(...all.map((row) => row[i].length))
+  );
+  const line = (row) =>
+    row
+      .map((cell, i) =>
+        i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])
+      )
+      .join("  ");
+  const rule = widths.map((width) => "-".repeat(width)).join("  ");
+
+  const lines = [
+    `${trend.unit} - raw mark boundaries by session`,
+    "",
+    line(header),
+    rule,
+    ...body.map(line),
+    rule,
+    ...footer.map(line),
+    "",
+    `Notable shifts (at least ${trend.shiftPercent}% of the maximum mark):`,
+    ...(trend.shifts.length > 0
+      ? trend.shifts.map((shift) => `  ${describeShift(shift)}`)
+      : ["  none"]),
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Render the trend as Markdown
+ * @param {Object} trend - Trend from buildTrend
+ * @returns {string} - Markdown document
+ */
+function renderMarkdown(trend) {
+  const { header, body, footer } = trendRows(trend);
+  const row = (cells) => `| ${cells.join(" | ")} |`;
+  const boldFooter = footer.map(([label, ...cells]) => [
+    `**${label}**`,
+    ...cells,
+  ]);
+
+  return [
+    `# ${trend.unit}`,
+    "",
+    "Raw mark boundaries by session. Arrows mark notable moves from the previous session.",
+    "",
+    row(header),
+    row(header.map((_, i) => (i === 0 ? "---" : "---:"))),
+    ...body.map(row),
+    ...boldFooter.map(row),
+    "",
+    `## Notable shifts (at least ${trend.shiftPercent}% of the maximum mark)`,
+    "",
+    ...(trend.shifts.length > 0
+      ? trend.shifts.map((shift) => `- ${describeShift(shift)}`)
+      : ["None."]),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render the trend as a standalone HTML page
+ * @param {Object} trend - Trend from buildTrend
+ * @returns {string} - HTML document
+ */
+function renderHtml(trend) {
+  const { header, body, footer } = trendRows(trend);
+  const cells = (row, tag) =>
+    row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(trend.unit)} boundary trend</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  tfoot td { font-weight: bold; background: #f4f4f4; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(trend.unit)}</h1>
+<p>Raw mark boundaries by session. Arrows mark notable moves from the previous session.</p>
+<table>
+<thead><tr>${cells(header, "th")}</tr></thead>
+<tbody>
+${body.map((row) => `<tr>${cells(row, "td")}</tr>`).join("\n")}
+</tbody>
+<tfoot>
+${footer.map((row) => `<tr>${cells(row, "td")}</tr>`).join("\n")}
+</tfoot>
+</table>
+<h2>Notable shifts (at least ${trend.shiftPercent}% of the maximum mark)</h2>
+${
+  trend.shifts.length > 0
+    ? `<ul>\n${trend.shifts
+        .map((shift) => `<li>${escapeHtml(describeShift(shift))}</li>`)
+        .join("\n")}\n</ul>`
+    : "<p>None.</p>"
+}
+</body>
+</html>
+`;
+}
+
+/**
+ * Run the report command
+ * @param {Array} argv - Arguments after "report"
+ */
+async function runReport(argv) {
+  const { options, positionals } = parseCommandArgs(argv, {
+    values: {
+      "--source": "source",
+      "--out": "out",
+      "--format": "format",
+      "--threshold": "threshold",
+    },
+  });
+
+  const [unitCode] = positionals;
+  if (!unitCode || positionals.length > 1) {
+    throw new Error(USAGE);
+  }
+
+  const shiftPercent =
+    options.threshold === undefined
+      ? DEFAULT_SHIFT_PERCENT
+      : Number(options.threshold);
+  if (!Number.isFinite(shiftPercent) || shiftPercent < 0) {
+    throw new Error(
+      `--threshold must be a percentage, got "${options.threshold}"`
+    );
+  }
+
+  // The format follows the output file's extension unless given explicitly
+  const format =
+    options.format ||
+    (options.out && /\.html?$/i.test(options.out) ? "html" : "md");
+  if (!["md", "html"].includes(format)) {
+    throw new Error(`Unknown report format: ${format} (expected md or html)`);
+  }
+
+  const units = await loadUnits(await resolveSourceDir(options.source));
+  const trend = buildTrend(units, unitCode, shiftPercent);
+
+  console.log(renderText(trend));
+
+  const filePath = options.out
+    ? path.resolve(options.out)
+    : path.join(DEFAULT_OUTPUT_DIR, `${trend.unitCode}-trend.${format}`);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(
+    filePath,
+    format === "html" ? renderHtml(trend) : renderMarkdown(trend),
+    "utf8"
+  );
+  console.log(`\nReport written to ${filePath}`);
+}
+
+module.exports = {
+  buildTrend,
+  renderText,
+  renderMarkdown,
+  renderHtml,
+  runReport,
+};
@@ -1,314 +1,548 @@
 const puppeteer = require("puppeteer");
 const path = require("path");
 const {
+  selectQualification,
   navigateToSession,
   selectSubject,
   selectUnit,
   selectAllScoresTab,
+  listTabs,
+  selectTab,
   sleep,
+  waitForStable,
+  configureWaits,
+  getWaitStats,
+  matchSelectorTiers,
 } = require("./navigation");
 const {
   extractAllScoresData,
+  extractVisibleTable,
+  tabSectionName,
+  extractFromResponses,
   processData,
+  summariseData,
   saveData,
+  quarantineData,
+  configureStorage,
 } = require("./dataProcessor");
+const { validateTable } = require("./validator");
+const ResponseCapture = require("./networkCapture");
+const { SessionRecorder, SessionReplay } = require("./recorder");
 const ProgressTracker = require("./progressTracker");
+const { DEFAULT_CONFIG, createFilters } = require("./config");
+const { WorkerPool, RateLimiter } = require("./workerPool");
+const BrowserSession = require("./browserSession");
+const {
+  siteProfile,
+  loadSiteProfile,
+  configureSiteProfile,
+  primarySelector,
+} = require("./siteProfile");
+const { writeDiagnostics } = require("./diagnostics");
 const fs = require("fs").promises;
 
-// Base URL for the grade conversion tool
-const BASE_URL =
-  "https://qualifications.pearson.com/en/support/support-topics/results-certification/understanding-marks-and-grades/converting-marks-points-and-grades.html?QualFamily=International%20A%20Level#gcstep1";
-
-// Qualification type to scrape
-const QUALIFICATION_TYPE = "International A Level";
-
-// Array of subjects to filter for (can be modified to include only subjects you want)
-// Set to null or empty array to scrape all subjects
-const FILTER_SUBJECTS = [
-  "Physics",
-  "Chemistry",
-  "Biology",
-  "Mathematics",
-  "Further Mathematics",
-  "Pure Mathematics",
-  "Accounting",
-  "Economics",
-  "Business",
-]; // Only scrape subjects containing these strings
+// Grade conversion tool being scraped (the qualification family is passed as a query parameter),
+// set from the run configuration so a run can target a local copy of the wizard
+const site = { baseUrl: DEFAULT_CONFIG.baseUrl };
+
+// Times a step may replace a dead page and start again before its error is treated as a normal failure
+const MAX_RECOVERIES = 3;
 
 /**
- * Check if a subject matches our filter criteria
- * @param {string} subject - Subject name to check
- * @returns {boolean} - Whether the subject should be processed
+ * Build the grade conversion tool URL for a qualification family
+ * @param {string} qualificationType - Qualification family (e.g. "International GCSE")
+ * @returns {string} - URL that opens the wizard at step 1 for that family
  */
-function shouldProcessSubject(subject) {
-  // If no filter is set, process all subjects
-  if (!FILTER_SUBJECTS || FILTER_SUBJECTS.length === 0) {
-    return true;
+function getQualificationUrl(qualificationType) {
+  return siteProfile.qualificationUrl
+    .replace("{baseUrl}", site.baseUrl)
+    .replace("{qualification}", encodeURIComponent(qualificationType));
+}
+
+/**
+ * Dismiss the cookie consent banner if it is showing
+ * @param {Page} page - Puppeteer page object
+ */
+async function dismissCookieBanner(page) {
+  try {
+    console.log("Checking for cookie consent banner...");
+    const cookieBannerSelector = primarySelector("cookieBanner");
+    const cookieBannerExists = await page.evaluate((selector) => {
+      const banner = document.querySelector(selector);
+      return !!banner && banner.offsetParent !== null; // Check if visible
+    }, cookieBannerSelector);
+
+    if (cookieBannerExists) {
+      console.log("Dismissing cookie banner...");
+      await page.click(cookieBannerSelector);
+      await page.waitForFunction(
+        (selector) => {
+          const banner = document.querySelector(selector);
+          return !banner || banner.offsetParent === null;
+        },
+        { timeout: 10000 },
+        cookieBannerSelector
+      );
+      console.log("Cookie banner dismissed");
+    }
+  } catch (cookieError) {
+    console.log(
+      "No cookie banner found or error dismissing it:",
+      cookieError.message
+    );
   }
+}
+
+/**
+ * Get the qualification families offered in step 1 of the wizard
+ * @param {Page} page - Puppeteer page object
+ * @returns {Array} - Qualification family names
+ */
+async function listQualifications(page) {
+  await page.waitForSelector(primarySelector("wizard"), { timeout: 30000 });
 
-  // Check if the subject contains any of our filter terms
-  return FILTER_SUBJECTS.some((filterTerm) =>
-    subject.toLowerCase().includes(filterTerm.toLowerCase())
+  const { texts } = await matchSelectorTiers(
+    page,
+    siteProfile.selectors.qualifications
   );
+  return texts.filter((text) => text.length > 0);
 }
 
 /**
- * Main function to scrape all available exam sessions
+ * Work out which qualification families to scrape
+ * @param {Page} page - Puppeteer page object
+ * @param {Array|null} requested - Qualification names from the command line, or ["all"]
+ * @returns {Array} - Qualification family names to scrape
  */
-async function scrapeSeries() {
-  // Initialize progress tracker
-  const tracker = new ProgressTracker(
-    path.join(__dirname, "..", "data", "progress.json")
-  );
-  await tracker.initialize();
+async function resolveQualifications(page, requested) {
+  if (!requested || requested.length === 0) {
+    return DEFAULT_CONFIG.qualifications;
+  }
 
-  console.log("Starting browser...");
-  const browser = await puppeteer.launch({
-    headless: true, // Run headless for production
-    defaultViewport: null,
-    args: ["--window-size=1200,800"],
+  const wantsAll = requested.some((name) => name.toLowerCase() === "all");
+  if (!wantsAll) {
+    return requested;
+  }
+
+  console.log("Loading the list of qualification families...");
+  await page.goto(site.baseUrl, {
+    waitUntil: "networkidle2",
+    timeout: 60000,
   });
+  await dismissCookieBanner(page);
 
-  try {
-    const page = await browser.newPage();
+  const qualifications = await listQualifications(page);
+  console.log(
+    `Found ${qualifications.length} qualification families: ${qualifications.join(
+      ", "
+    )}`
+  );
 
-    // Enable console logging from the page
-    page.on("console", (msg) => {
-      console.log(`PAGE LOG: ${msg.text()}`);
-    });
+  if (qualifications.length === 0) {
+    throw new Error("No qualification families found in step 1");
+  }
 
-    // Navigate to the main page with direct qualification parameter
-    console.log("Navigating to Pearson qualifications page...");
-    await page.goto(BASE_URL, {
-      waitUntil: "networkidle2",
-      timeout: 60000,
-    });
+  return qualifications;
+}
+
+/**
+ * Load the grade conversion tool for a qualification family, ready at the session step
+ * @param {Page} page - Puppeteer page object
+ * @param {string} qualificationType - Qualification family to open
+ */
+async function openQualification(page, qualificationType) {
+  // Navigate to the main page with direct qualification parameter
+  console.log(
+    `Navigating to Pearson qualifications page (${qualificationType})...`
+  );
+  await page.goto(getQualificationUrl(qualificationType), {
+    waitUntil: "networkidle2",
+    timeout: 60000,
+  });
+
+  // Handle cookie consent banner if present
+  await dismissCookieBanner(page);
+
+  // Wait for the wizard's first step to finish rendering
+  await waitForStable(
+    page,
+    [
+      ...siteProfile.selectors.sessions,
+      ...siteProfile.selectors.qualifications,
+    ],
+    {
+      step: "page load",
+      optional: true,
+    }
+  );
+
+  // The qualification URL usually preselects step 1; click it ourselves if it did not
+  console.log("Checking if we need to select qualification type...");
+  const sessionsVisible =
+    (await matchSelectorTiers(page, siteProfile.selectors.sessions)).tier >= 0;
 
-    // Handle cookie consent banner if present
+  if (!sessionsVisible) {
+    console.log(`Need to select ${qualificationType} qualification...`);
     try {
-      console.log("Checking for cookie consent banner...");
-      const cookieBannerSelector = "#onetrust-reject-all-handler";
-      const cookieBannerExists = await page.evaluate((selector) => {
-        const banner = document.querySelector(selector);
-        return !!banner && banner.offsetParent !== null; // Check if visible
-      }, cookieBannerSelector);
-
-      if (cookieBannerExists) {
-        console.log("Dismissing cookie banner...");
-        await page.click(cookieBannerSelector);
-        await sleep(2000);
-        console.log("Cookie banner dismissed");
-      }
-    } catch (cookieError) {
+      await selectQualification(page, qualificationType);
+    } catch (error) {
       console.log(
-        "No cookie banner found or error dismissing it:",
-        cookieError.message
+        `Could not select qualification from step 1: ${error.message}`
       );
     }
+  }
+}
 
-    await sleep(3000); // Add longer delay to ensure page is fully loaded
-
-    // Check if we need to manually navigate to the A Level section
-    console.log("Checking if we need to select qualification type...");
-    const needsQualificationSelection = await page.evaluate(() => {
-      // Look for International A Level link or button
-      const qualLinks = Array.from(
-        document.querySelectorAll("a, button")
-      ).filter((el) => el.textContent.includes("International A Level"));
+/**
+ * Scrape every session, subject and unit of one qualification family
+ * Sessions and subjects are walked on the discovery page; units are queued on the worker pool
+ * @param {Object} context - Shared run state (tracker, filters, totals, pool, rateLimiter, discovery)
+ * @param {string} qualificationType - Qualification family to scrape
+ */
+async function scrapeQualification(context, qualificationType) {
+  const { tracker, filters, totals, discovery } = context;
 
-      return qualLinks.length > 0;
-    });
+  console.log(
+    `\n########## Processing qualification: ${qualificationType} ##########`
+  );
 
-    if (needsQualificationSelection) {
-      console.log("Need to select International A Level qualification...");
-      await page.evaluate(() => {
-        // Try to find and click International A Level link
-        const qualLinks = Array.from(
-          document.querySelectorAll("a, button")
-        ).filter((el) => el.textContent.includes("International A Level"));
-
-        if (qualLinks.length > 0) {
-          console.log("Found qualification link, clicking...");
-          qualLinks[0].click();
-          return true;
+  // Load the wizard and list the sessions, starting over on a fresh page if the browser dies
+  const sessionsList = await withRecovery(
+    context.browserSession,
+    discovery,
+    async () => {},
+    async () => {
+      const page = discovery.page;
+      await openQualification(page, qualificationType);
+
+      // Wait for sessions list, moving on to more general selectors if the original fails
+      console.log("Waiting for sessions list to load...");
+      let sessionSelector = null;
+      for (const selector of siteProfile.selectors.sessions) {
+        try {
+          await page.waitForSelector(selector, { timeout: 10000 });
+          sessionSelector = selector;
+          break;
+        } catch (err) {
+          console.log(`Selector ${selector} failed, trying the next one`);
         }
-        return false;
-      });
+      }
+      if (!sessionSelector) {
+        throw new Error("Could not find session selection elements");
+      }
+      console.log(`Found sessions with selector ${sessionSelector}`);
 
-      await sleep(3000);
+      // Extract all available exam sessions, falling back to more general selectors
+      const { texts } = await matchSelectorTiers(
+        page,
+        siteProfile.selectors.sessions
+      );
+      return texts;
     }
+  );
 
-    // Wait for sessions list with a more flexible selector
-    console.log("Waiting for sessions list to load...");
-    try {
-      // First try the original selector
-      await page.waitForSelector("#gcstep2 .step-option-list a", {
-        timeout: 10000,
-      });
-      console.log("Found sessions with original selector");
-    } catch (err) {
-      console.log("Original selector failed, trying alternative selectors");
-
-      // Try a more general selector for links within any step-option-list
-      await page
-        .waitForSelector(".step-option-list a", {
-          timeout: 10000,
-        })
-        .catch(async () => {
-          console.log(
-            "Alternative selector also failed, looking for any clickable element"
-          );
-
-          // Look for any list of options
-          await page
-            .waitForSelector("ul li a", {
-              timeout: 10000,
-            })
-            .catch(() => {
-              throw new Error("Could not find session selection elements");
-            });
-        });
-    }
+  console.log(`Found ${sessionsList.length} potential session items`);
 
-    // Extract all available exam sessions with a more flexible approach
-    const sessionsList = await page.evaluate(() => {
-      // First try the original selector
-      let sessionLinks = Array.from(
-        document.querySelectorAll("#gcstep2 .step-option-list a")
-      );
+  // Filter out non-session items if any
+  const validSessions = sessionsList.filter((session) =>
+    siteProfile.sessionPattern.test(session)
+  );
 
-      // If that fails, try a more general selector
-      if (sessionLinks.length === 0) {
-        sessionLinks = Array.from(
-          document.querySelectorAll(".step-option-list a")
-        );
-      }
+  console.log(`Filtered to ${validSessions.length} valid sessions`);
 
-      // If that also fails, look for any list items that might be sessions
-      if (sessionLinks.length === 0) {
-        sessionLinks = Array.from(document.querySelectorAll("ul li a"));
-      }
+  if (validSessions.length === 0) {
+    console.error(
+      `No valid exam sessions found for ${qualificationType}. Check the website structure.`
+    );
+    throw new Error(`No valid exam sessions found for ${qualificationType}`);
+  }
 
-      // Extract text content from the links
-      return sessionLinks.map((link) => link.textContent.trim());
-    });
+  // Apply the session filter from the run configuration
+  const selectedSessions = validSessions.filter((session) =>
+    filters.session(session)
+  );
+  console.log(`Filtered to ${selectedSessions.length} matching sessions`);
+
+  // Count sessions for the progress tracker
+  totals.sessions += selectedSessions.length;
+  tracker.updateStats(
+    totals.sessions,
+    totals.subjects,
+    tracker.getSummary().totalUnits
+  );
+  await tracker.save();
 
-    console.log(`Found ${sessionsList.length} potential session items`);
+  // Completion checks for sessions whose units are still running on the workers
+  const pendingSessions = [];
 
-    // Filter out non-session items if any
-    const validSessions = sessionsList.filter((session) =>
-      /^(January|June|October)\s+\d{4}$/.test(session)
+  // Process each exam session
+  for (const session of selectedSessions) {
+    console.log(
+      `\n========== Processing exam session: ${qualificationType} / ${session} ==========`
     );
 
-    console.log(`Filtered to ${validSessions.length} valid sessions`);
+    // Skip sessions that are already fully completed, unless refreshing them
+    if (
+      !context.refresh &&
+      tracker.isSessionCompleted(qualificationType, session)
+    ) {
+      console.log(`Session ${session} is already fully processed, skipping`);
+      continue;
+    }
 
-    if (validSessions.length === 0) {
-      console.error(
-        "No valid exam sessions found. Check the website structure."
+    try {
+      const subjects = await withRecovery(
+        context.browserSession,
+        discovery,
+        () => openQualification(discovery.page, qualificationType),
+        async () => {
+          // Navigate to the specific session
+          await context.rateLimiter.wait();
+          await navigateToSession(discovery.page, session);
+
+          // Get all available subjects for this session with flexible selectors
+          const { texts } = await matchSelectorTiers(
+            discovery.page,
+            siteProfile.selectors.subjects
+          );
+          return texts;
+        }
       );
-      throw new Error("No valid exam sessions found");
-    }
 
-    // Track total counts for progress reporting
-    let totalSubjects = 0;
-    let totalUnits = 0;
+      console.log(`Found ${subjects.length} subjects for ${session}`);
 
-    // Count sessions for the progress tracker
-    tracker.updateStats(validSessions.length, 0, 0);
-    await tracker.save();
+      // Filter subjects based on our subject filter
+      const filteredSubjects = subjects.filter((subject) =>
+        filters.subject(subject)
+      );
+      console.log(`Filtered to ${filteredSubjects.length} matching subjects`);
 
-    // Process each exam session
-    for (const session of validSessions) {
-      console.log(
-        `\n========== Processing exam session: ${session} ==========`
+      totals.subjects += filteredSubjects.length;
+
+      // Update progress tracker with the subjects count
+      tracker.updateStats(
+        totals.sessions,
+        totals.subjects,
+        tracker.getSummary().totalUnits
       );
+      await tracker.save();
 
-      // Skip sessions that are already fully completed
-      if (tracker.isSessionCompleted(QUALIFICATION_TYPE, session)) {
-        console.log(`Session ${session} is already fully processed, skipping`);
-        continue;
+      // Queue the units of each subject; their results arrive as the workers finish
+      const subjectResults = [];
+
+      // Process each subject
+      for (const subject of filteredSubjects) {
+        try {
+          await context.rateLimiter.wait();
+          subjectResults.push(
+            await withRecovery(
+              context.browserSession,
+              discovery,
+              async () => {
+                await openQualification(discovery.page, qualificationType);
+                await navigateToSession(discovery.page, session);
+              },
+              () =>
+                processSubject(
+                  discovery.page,
+                  context,
+                  qualificationType,
+                  session,
+                  subject
+                )
+            )
+          );
+        } catch (subjectError) {
+          console.error(`Error processing subject ${subject}:`, subjectError);
+          // Continue with next subject
+        }
       }
 
-      try {
-        // Navigate to the specific session
-        await navigateToSession(page, session);
+      // Subjects left out by the filter or that failed count as unprocessed,
+      // so the session is only marked complete once every subject was walked
+      pendingSessions.push(
+        finishSession(
+          tracker,
+          qualificationType,
+          session,
+          subjectResults,
+          subjects.length - subjectResults.length
+        )
+      );
+    } catch (error) {
+      console.error(`Error processing session ${session}:`, error);
+    }
+  }
 
-        // Get all available subjects for this session with flexible selectors
-        const subjects = await page.evaluate(() => {
-          // First try the original selector
-          let subjectLinks = Array.from(
-            document.querySelectorAll("#gcstep3 .step-option-list a")
-          );
+  // Wait for the workers to finish this qualification's units
+  await Promise.all(pendingSessions);
+}
 
-          // If that fails, try more general selectors
-          if (subjectLinks.length === 0) {
-            subjectLinks = Array.from(
-              document.querySelectorAll(".step-option-list a")
-            );
-          }
+/**
+ * Mark a session as complete once all of its queued units have finished
+ * @param {ProgressTracker} tracker - Progress tracker
+ * @param {string} qualificationType - Qualification family
+ * @param {string} session - Exam session
+ * @param {Array} subjectResults - Results returned by processSubject for the session
+ * @param {number} unprocessedSubjects - Subjects of the session that were not processed
+ */
+async function finishSession(
+  tracker,
+  qualificationType,
+  session,
+  subjectResults,
+  unprocessedSubjects
+) {
+  // Track the total units and processed units for this session
+  let sessionTotalUnits = 0;
+  let sessionProcessedUnits = 0;
+
+  for (const subjectResult of subjectResults) {
+    sessionTotalUnits += subjectResult.totalUnits;
+    sessionProcessedUnits += await subjectResult.processedUnits;
+  }
 
-          // If that still fails, try all links that might be subjects
-          if (subjectLinks.length === 0) {
-            subjectLinks = Array.from(document.querySelectorAll("ul li a"));
-          }
+  // Check if all units in this session have been processed
+  if (
+    unprocessedSubjects === 0 &&
+    sessionTotalUnits > 0 &&
+    sessionProcessedUnits === sessionTotalUnits
+  ) {
+    console.log(
+      `All units for session ${session} have been processed. Marking session as complete.`
+    );
+    tracker.markSessionAsCompleted(qualificationType, session);
+    await tracker.save();
+  }
+}
 
-          return subjectLinks.map((item) => item.textContent.trim());
-        });
+/**
+ * Set up recording or replay of a run from its configuration
+ * A replay scrapes the recorded site and, unless an output directory is given,
+ * writes below the recording so the real data is left alone
+ * @param {Object} config - Run configuration
+ * @returns {Object} - { recorder, replay, setupPage, baseUrl, outputDir }, where
+ *   recorder, replay and setupPage are null when unused
+ */
+async function prepareSession(config) {
+  const recorder = config.record ? new SessionRecorder(config.record) : null;
+  const replay = config.replay ? new SessionReplay(config.replay) : null;
 
-        console.log(`Found ${subjects.length} subjects for ${session}`);
+  let baseUrl = config.baseUrl;
+  if (replay) {
+    ({ baseUrl } = await replay.load());
+  }
+  if (recorder) {
+    await recorder.start(baseUrl);
+  }
 
-        // Filter subjects based on our subject filter
-        const filteredSubjects = subjects.filter((subject) =>
-          shouldProcessSubject(subject)
-        );
-        console.log(`Filtered to ${filteredSubjects.length} matching subjects`);
-
-        totalSubjects += filteredSubjects.length;
-
-        // Update progress tracker with the subjects count
-        tracker.updateStats(validSessions.length, totalSubjects, totalUnits);
-        await tracker.save();
-
-        // Track the total units and processed units for this session
-        let sessionTotalUnits = 0;
-        let sessionProcessedUnits = 0;
-
-        // Process each subject
-        for (const subject of filteredSubjects) {
-          try {
-            const subjectResult = await processSubject(
-              page,
-              tracker,
-              QUALIFICATION_TYPE,
-              session,
-              subject
-            );
-
-            // Update session unit counts
-            if (subjectResult) {
-              sessionTotalUnits += subjectResult.totalUnits;
-              sessionProcessedUnits += subjectResult.processedUnits;
-            }
-          } catch (subjectError) {
-            console.error(`Error processing subject ${subject}:`, subjectError);
-            // Continue with next subject
-          }
+  let outputDir = path.join(__dirname, "..");
+  if (config.outputDir) {
+    outputDir = path.resolve(config.outputDir);
+  } else if (replay) {
+    outputDir = path.join(replay.dir, "replay-output");
+  }
+
+  const setupPage =
+    recorder || replay
+      ? async (page) => {
+          if (recorder) recorder.attach(page);
+          if (replay) await replay.attach(page);
         }
+      : null;
+
+  return { recorder, replay, setupPage, baseUrl, outputDir };
+}
 
-        // Check if all units in this session have been processed
-        if (
-          sessionTotalUnits > 0 &&
-          sessionProcessedUnits === sessionTotalUnits
-        ) {
-          console.log(
-            `All units for session ${session} have been processed. Marking session as complete.`
+/**
+ * Main function to scrape all available exam sessions
+ * @param {Object} config - Run configuration (see modules/config.js)
+ */
+async function scrapeSeries(config = DEFAULT_CONFIG) {
+  const filters = createFilters(config);
+  configureWaits(config.waits);
+  const { recorder, replay, setupPage, baseUrl, outputDir } =
+    await prepareSession(config);
+  site.baseUrl = baseUrl;
+  configureSiteProfile(await loadSiteProfile(config.siteProfile));
+
+  // Everything the run writes goes below the output directory
+  configureStorage(outputDir);
+  if (replay) {
+    console.log(`Writing the replayed run to ${outputDir}`);
+  }
+
+  // Initialize progress tracker
+  const tracker = new ProgressTracker(
+    path.join(outputDir, "data", "progress.json")
+  );
+  await tracker.initialize();
+
+  console.log("Starting browser...");
+  const browserSession = new BrowserSession(
+    {
+      headless: true, // Run headless for production
+      defaultViewport: null,
+      args: ["--window-size=1200,800", ...config.browserArgs],
+    },
+    setupPage
+  );
+  await browserSession.launch();
+
+  try {
+    // Page used to walk sessions and subjects; replaced if it dies
+    const discovery = { label: "PAGE LOG" };
+    discovery.page = await browserSession.newPage(discovery.label);
+
+    // Open one page per worker; each keeps track of where it is in the wizard
+    console.log(`Opening ${config.concurrency} worker page(s)...`);
+    const workers = [];
+    for (let id = 1; id <= config.concurrency; id++) {
+      const label = `PAGE LOG [worker ${id}]`;
+      const workerPage = await browserSession.newPage(label);
+      workers.push({ id, label, page: workerPage, position: {} });
+    }
+
+    // Track total counts for progress reporting across all qualifications
+    const context = {
+      tracker,
+      filters,
+      browserSession,
+      discovery,
+      totals: { sessions: 0, subjects: 0 },
+      pool: new WorkerPool(workers),
+      rateLimiter: new RateLimiter(config.rateLimit),
+      retries: config.retries,
+      retryDelay: config.retryDelay,
+      refresh: config.refresh,
+      recorder,
+      // Failure diagnostics are written below this, and linked from the tracker relative to it
+      outputDir,
+      // How each saved unit compared with its stored file
+      saveCounts: { new: 0, changed: 0, unchanged: 0 },
+    };
+
+    if (config.retryFailed) {
+      await retryFailedUnits(context, config);
+    } else {
+      tracker.updateStats(0, 0, 0);
+
+      const qualificationTypes = await resolveQualifications(
+        discovery.page,
+        config.qualifications
+      );
+      console.log(`Qualifications to scrape: ${qualificationTypes.join(", ")}`);
+
+      // Process each qualification family
+      for (const qualificationType of qualificationTypes) {
+        try {
+          await scrapeQualification(context, qualificationType);
+        } catch (error) {
+          console.error(
+            `Error processing qualification ${qualificationType}:`,
+            error
           );
-          tracker.markSessionAsCompleted(QUALIFICATION_TYPE, session);
-          await tracker.save();
         }
-      } catch (error) {
-        console.error(`Error processing session ${session}:`, error);
       }
     }
 
@@ -326,10 +560,33 @@ async function scrapeSeries() {
     console.log(`Failed Units: ${summary.failedUnits}`);
     console.log(`Overall Progress: ${summary.progress}`);
     console.log(`Last Update: ${summary.lastUpdate}`);
+    if (config.refresh) {
+      const { saveCounts } = context;
+      console.log(
+        `Refreshed Units: ${saveCounts.changed} changed, ${saveCounts.unchanged} unchanged, ${saveCounts.new} new`
+      );
+      if (saveCounts.changed > 0) {
+        console.log("Changes are listed in data/changelog.jsonl");
+      }
+    }
+    if (browserSession.relaunches > 0) {
+      console.log(`Browser Relaunches: ${browserSession.relaunches}`);
+    }
 
-    if (FILTER_SUBJECTS && FILTER_SUBJECTS.length > 0) {
+    // Show where the run spent its time waiting for the page
+    const waitStats = getWaitStats();
+    if (Object.keys(waitStats).length > 0) {
+      console.log("\nTime spent waiting per step:");
+      for (const [step, stat] of Object.entries(waitStats)) {
+        console.log(
+          `  ${step}: ${stat.count} waits, ${stat.average} ms average, ${stat.max} ms max`
+        );
+      }
+    }
+
+    if (config.subjects && config.subjects.length > 0) {
       console.log(
-        `\nNote: Only processed subjects matching: ${FILTER_SUBJECTS.join(
+        `\nNote: Only processed subjects matching: ${config.subjects.join(
           ", "
         )}`
       );
@@ -338,43 +595,44 @@ async function scrapeSeries() {
     console.error("Error during scraping:", error);
     throw error;
   } finally {
+    if (recorder) {
+      await recorder.finish();
+    }
     await sleep(1000); // Final delay before closing
     console.log("Closing browser...");
-    await browser.close();
+    await browserSession.close();
   }
 }
 
 /**
  * Process a single subject for a given exam session
+ * Lists the subject's units and queues the ones still to do on the worker pool
+ * @param {Page} page - Puppeteer page object at the session step
+ * @param {Object} context - Shared run state (tracker, filters, pool, rateLimiter)
+ * @returns {Object} - Unit count and a promise for the number of units processed
  */
-async function processSubject(page, tracker, qualType, session, subject) {
+async function processSubject(page, context, qualType, session, subject) {
+  const { tracker, filters } = context;
+
   console.log(`\n-- Processing subject: ${subject} --`);
 
   try {
     // Select this subject
     await selectSubject(page, subject);
 
-    // Get all units for this subject with more flexible selectors
-    const units = await page.evaluate(() => {
-      // Try different selectors in order of specificity
-      let unitLinks = Array.from(
-        document.querySelectorAll("#gcstep4 .step-option-list a")
-      );
-
-      if (unitLinks.length === 0) {
-        unitLinks = Array.from(
-          document.querySelectorAll(".step-option-list a")
-        );
-      }
-
-      if (unitLinks.length === 0) {
-        unitLinks = Array.from(document.querySelectorAll("ul li a"));
-      }
+    // Get all units for this subject, trying selectors in order of specificity
+    const { texts: allUnits } = await matchSelectorTiers(
+      page,
+      siteProfile.selectors.units
+    );
 
-      return unitLinks.map((item) => item.textContent.trim());
-    });
+    console.log(`Found ${allUnits.length} units for ${subject}`);
 
-    console.log(`Found ${units.length} units for ${subject}`);
+    // Apply the unit filter from the run configuration
+    const units = allUnits.filter((unit) => filters.unit(unit));
+    if (units.length !== allUnits.length) {
+      console.log(`Filtered to ${units.length} matching units`);
+    }
 
     // Update the tracker's total unit count
     const currentStats = tracker.getSummary();
@@ -386,138 +644,440 @@ async function processSubject(page, tracker, qualType, session, subject) {
     await tracker.save();
 
     if (units.length === 0) {
-      console.log("No units found for this subject, skipping");
-      return { totalUnits: 0, processedUnits: 0 };
+      console.log("No matching units found for this subject, skipping");
+      return { totalUnits: allUnits.length, processedUnits: 0 };
     }
 
-    // Track units processed for this subject
-    let processedUnits = 0;
-
-    // Process each unit
-    for (const unit of units) {
-      try {
-        // Skip if this unit has already been successfully processed
-        if (tracker.isCompleted(qualType, session, subject, unit)) {
-          console.log(`Unit already processed: ${unit}`);
-          processedUnits++;
-          continue;
-        }
+    // Queue each unit; already completed or failed units count as processed straight away
+    const unitResults = units.map((unit) => {
+      // Skip if this unit has already been successfully processed, unless refreshing
+      if (
+        !context.refresh &&
+        tracker.isCompleted(qualType, session, subject, unit)
+      ) {
+        console.log(`Unit already processed: ${unit}`);
+        return true;
+      }
 
-        // Skip if this unit previously failed (to avoid repeatedly trying problematic units)
-        if (tracker.hasFailed(qualType, session, subject, unit)) {
-          console.log(`Unit previously failed, skipping: ${unit}`);
-          processedUnits++; // Count as processed since we're skipping it
-          continue;
-        }
+      // Skip if this unit previously failed (to avoid repeatedly trying problematic units)
+      if (tracker.hasFailed(qualType, session, subject, unit)) {
+        console.log(`Unit previously failed, skipping: ${unit}`);
+        return true; // Count as processed since we're skipping it
+      }
 
-        const success = await processUnit(
-          page,
-          tracker,
-          qualType,
-          session,
-          subject,
-          unit
-        );
-        if (success) {
-          processedUnits++;
-        }
-      } catch (unitError) {
-        console.error(`Error processing unit ${unit}:`, unitError);
-        tracker.markAsFailed(
-          qualType,
+      return context.pool.run((worker) =>
+        runUnitJob(worker, context, {
+          qualificationType: qualType,
           session,
           subject,
           unit,
-          unitError.message
-        );
-        await tracker.save();
-        processedUnits++; // Count as processed since we've marked it as failed
+        })
+      );
+    });
+
+    const processedUnits = Promise.all(unitResults).then(
+      (results) => results.filter(Boolean).length
+    );
+
+    // Return the unit counts for this subject; units left out by the filter
+    // count as unprocessed so a filtered run never marks the session complete
+    return { totalUnits: allUnits.length, processedUnits };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Run a step, replacing the page and starting the step again if the browser or page dies
+ * @param {BrowserSession} browserSession - Browser session owning the page
+ * @param {Object} holder - Object whose page property the step uses (a worker or the discovery page)
+ * @param {Function} restore - Async function bringing a fresh page back to where the step starts
+ * @param {Function} step - Async function to run
+ * @returns {*} - The step's result
+ */
+async function withRecovery(browserSession, holder, restore, step) {
+  let needsRestore = false;
+
+  for (let recoveries = 0; ; recoveries++) {
+    try {
+      if (needsRestore) {
+        await restore();
       }
+      return await step();
+    } catch (error) {
+      if (
+        recoveries >= MAX_RECOVERIES ||
+        !browserSession.isBrowserFailure(error, holder.page)
+      ) {
+        throw error;
+      }
+
+      console.warn(
+        `${holder.label}: browser or page died (${error.message}), recovering...`
+      );
+      holder.page = await browserSession.replacePage(holder.page, holder.label);
+      needsRestore = true;
     }
+  }
+}
 
-    // Return the unit counts for this subject
-    return { totalUnits: units.length, processedUnits };
+/**
+ * Bring a worker page to the unit list of a job's subject
+ * Only the wizard steps that differ from where the page already is are repeated
+ * @param {Object} worker - Worker with its page and current wizard position
+ * @param {RateLimiter} rateLimiter - Global rate limiter
+ * @param {Object} job - Qualification type, session and subject to reach
+ */
+async function reachSubject(worker, rateLimiter, job) {
+  const { qualificationType, session, subject } = job;
+  let step = null;
+
+  try {
+    if (worker.position.qualificationType !== qualificationType) {
+      step = "open qualification";
+      await rateLimiter.wait();
+      await openQualification(worker.page, qualificationType);
+      worker.position = { qualificationType };
+    }
+    if (worker.position.session !== session) {
+      step = "select session";
+      await rateLimiter.wait();
+      await navigateToSession(worker.page, session);
+      worker.position.session = session;
+      worker.position.subject = null;
+    }
+    if (worker.position.subject !== subject) {
+      step = "select subject";
+      await rateLimiter.wait();
+      await selectSubject(worker.page, subject);
+      worker.position.subject = subject;
+    }
   } catch (error) {
+    // Name the wizard step that failed, for the failure's diagnostics
+    error.step = error.step || step;
     throw error;
   }
 }
 
+/**
+ * Run one unit job on a worker page, retrying failures with exponential backoff
+ * Units quarantined by validation are not retried
+ * Every failed attempt is recorded in the tracker with its error message and the step it
+ * failed at; the final one also saves a diagnostics folder showing the state of the page
+ * @param {Object} worker - Worker with its page and current wizard position
+ * @param {Object} context - Shared run state (tracker, rateLimiter, retries, retryDelay,
+ *   browserSession, outputDir)
+ * @param {Object} job - Qualification type, session, subject and unit to scrape
+ * @returns {boolean} - Whether the unit counts as processed
+ */
+async function runUnitJob(worker, context, job) {
+  const { tracker, rateLimiter, retries, retryDelay, browserSession } = context;
+  const { qualificationType, session, subject, unit } = job;
+  const maxAttempts = retries + 1;
+  console.log(`[worker ${worker.id}] ${session} / ${subject} / ${unit}`);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let reachedUnits = false;
+
+    try {
+      // A crashed page is replaced and the wizard walked again without using up an attempt
+      await withRecovery(
+        browserSession,
+        worker,
+        async () => {
+          worker.position = {};
+        },
+        async () => {
+          reachedUnits = false;
+          await reachSubject(worker, rateLimiter, job);
+          reachedUnits = true;
+
+          await rateLimiter.wait();
+          const status = await processUnit(
+            worker.page,
+            tracker,
+            qualificationType,
+            session,
+            subject,
+            unit,
+            context.recorder
+          );
+          context.saveCounts[status]++;
+        }
+      );
+      return true;
+    } catch (unitError) {
+      console.error(
+        `[worker ${worker.id}] Attempt ${attempt} of ${maxAttempts} failed for ${unit}:`,
+        unitError.message
+      );
+      // Quarantined units are not retried, so their first failure is final
+      const finalAttempt = attempt === maxAttempts || !!unitError.quarantine;
+      let diagnostics = null;
+      if (finalAttempt) {
+        try {
+          const dir = await writeDiagnostics(
+            path.join(context.outputDir, "diagnostics"),
+            worker.page,
+            {
+              unit: { qualificationType, session, subject, unit },
+              error: unitError,
+              attempt,
+              consoleLog: browserSession.consoleLog(worker.page),
+            }
+          );
+          diagnostics = path.relative(context.outputDir, dir);
+          console.log(`Failure diagnostics saved to ${dir}`);
+        } catch (diagnosticsError) {
+          console.warn(
+            `Could not save failure diagnostics: ${diagnosticsError.message}`
+          );
+        }
+      }
+
+      const failure = tracker.markAsFailed(
+        qualificationType,
+        session,
+        subject,
+        unit,
+        unitError.message,
+        {
+          quarantine: unitError.quarantine,
+          step: unitError.step,
+          diagnostics,
+        }
+      );
+      await tracker.save();
+
+      // Start from the qualification page again if we never reached the unit list,
+      // otherwise just reselect the subject in case the page was left mid-step
+      if (reachedUnits) {
+        worker.position.subject = null;
+      } else {
+        worker.position = {};
+      }
+
+      // A table that failed validation would only be quarantined again
+      if (unitError.quarantine) {
+        return true;
+      }
+
+      if (!finalAttempt) {
+        const delay = retryDelay * 2 ** (attempt - 1);
+        console.log(
+          `Retrying ${unit} in ${delay} ms (failed ${failure.attempts} time(s) so far)`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  return true; // Count as processed since we've marked it as failed
+}
+
+/**
+ * Re-attempt only the units that failed in previous runs
+ * @param {Object} context - Shared run state (tracker, filters, pool)
+ * @param {Object} config - Run configuration
+ */
+async function retryFailedUnits(context, config) {
+  const { tracker, filters } = context;
+  const wantsAll = config.qualifications.some(
+    (name) => name.toLowerCase() === "all"
+  );
+
+  // Previously failed units, narrowed by the run configuration's filters
+  const failedUnits = tracker
+    .getFailedUnits()
+    .filter(
+      (failure) =>
+        (wantsAll ||
+          config.qualifications.includes(failure.qualificationType)) &&
+        filters.session(failure.session) &&
+        filters.subject(failure.subject) &&
+        filters.unit(failure.unit)
+    );
+
+  console.log(`Retrying ${failedUnits.length} previously failed unit(s)...`);
+
+  await Promise.all(
+    failedUnits.map((failure) =>
+      context.pool.run((worker) => runUnitJob(worker, context, failure))
+    )
+  );
+
+  const recovered = failedUnits.filter(
+    (failure) =>
+      !tracker.hasFailed(
+        failure.qualificationType,
+        failure.session,
+        failure.subject,
+        failure.unit
+      )
+  ).length;
+  console.log(
+    `Recovered ${recovered} of ${failedUnits.length} previously failed unit(s)`
+  );
+}
+
+/**
+ * Extract the contents of every tab of the grade conversion view
+ * A tab that cannot be read is logged and left out rather than failing the unit
+ * @param {Page} page - Puppeteer page object showing the conversion view
+ * @returns {Object} - Sections keyed by name, each { tab, rows }
+ */
+async function captureTabs(page) {
+  const sections = {};
+  const labels = await listTabs(page);
+  console.log(`Capturing ${labels.length} tab(s): ${labels.join(", ")}`);
+
+  for (let index = 0; index < labels.length; index++) {
+    try {
+      const tab = await selectTab(page, index);
+      let name = tabSectionName(tab) || `tab${index + 1}`;
+      if (sections[name]) name = `${name}${index + 1}`;
+
+      sections[name] = { tab, rows: await extractVisibleTable(page) };
+    } catch (tabError) {
+      console.warn(
+        `Could not capture tab "${labels[index]}":`,
+        tabError.message
+      );
+    }
+  }
+
+  return sections;
+}
+
 /**
  * Process a single unit and extract its grade conversion data
+ * Throws if the unit's data cannot be extracted; the error's step names the stage that
+ * failed, and tabAttempts lists the All Scores tab fallbacks tried, if any
+ * @param {SessionRecorder} recorder - Records the unit's steps and a screenshot, if set
+ * @returns {string} - How the saved data compared with the stored file ("new", "changed" or "unchanged")
  */
-async function processUnit(page, tracker, qualType, session, subject, unit) {
+async function processUnit(
+  page,
+  tracker,
+  qualType,
+  session,
+  subject,
+  unit,
+  recorder = null
+) {
   console.log(`\n- Processing unit: ${unit} -`);
+  const unitInfo = { qualificationType: qualType, session, subject, unit };
+
+  // Record the JSON responses the wizard loads for this unit
+  const capture = new ResponseCapture(page).start();
+  // Stage reached so far and the tab fallbacks tried, reported if the unit fails
+  let step = "select unit";
+  let tabAttempts = null;
 
   try {
+    if (recorder) await recorder.snapshot(page, unitInfo, "unit-list");
+
     // Select this unit
     await selectUnit(page, unit);
+    if (recorder) await recorder.snapshot(page, unitInfo, "conversion-view");
 
     // Check if the tabs area is visible with more flexible selectors
+    step = "find tabs";
     console.log("Checking for tabs section...");
-    const hasTabsSection = await page.evaluate(() => {
-      // Try different selectors that might indicate tabs
-      const tabsSection =
-        document.querySelector("#gcstep5") ||
-        document.querySelector(".nav.nav-tabs") ||
-        document.querySelector("ul[role='tablist']");
-      return !!tabsSection;
-    });
+    // Try different selectors that might indicate tabs
+    const conversionView = await matchSelectorTiers(
+      page,
+      siteProfile.selectors.conversionView
+    );
+    const hasTabsSection = conversionView.tier >= 0;
 
     if (!hasTabsSection) {
-      console.log("No tabs section found, skipping to next unit");
-      tracker.markAsFailed(
-        qualType,
-        session,
-        subject,
-        unit,
-        "No tabs section found"
-      );
-      await tracker.save();
-      return false;
+      throw new Error("No tabs section found");
     }
 
-    // Select the All Scores tab
-    await selectAllScoresTab(page);
+    // Prefer the conversion table from the wizard's own JSON response
+    step = "read network data";
+    let rawData = extractFromResponses(await capture.settle());
+    let selectedTab = null;
+
+    if (!rawData) {
+      // Select the All Scores tab (this may also trigger the data request)
+      step = "select All Scores tab";
+      let attempts;
+      ({ attempts, ...selectedTab } = await selectAllScoresTab(page));
+      tabAttempts = attempts;
+      if (recorder) await recorder.snapshot(page, unitInfo, "all-scores");
+      rawData = extractFromResponses(await capture.settle());
+    }
 
-    // Extract the data from div-based table
-    console.log("Extracting grade conversion data...");
-    const rawData = await extractAllScoresData(page, sleep); // Pass the sleep function here
+    if (rawData) {
+      console.log(
+        `Using ${rawData.rows.length} rows from network response ${rawData.url}`
+      );
+    } else {
+      // Fall back to extracting the data from the div-based table
+      step = "extract table";
+      console.log("Extracting grade conversion data from the page...");
+      rawData = await extractAllScoresData(page);
+    }
 
     // Process the data (normalize and sort)
+    step = "process data";
     const processedData = processData(rawData);
 
     if (processedData.length === 0) {
-      console.error("No data extracted for this unit");
-      tracker.markAsFailed(
-        qualType,
-        session,
-        subject,
-        unit,
-        "No data extracted"
-      );
-      await tracker.save();
-      return false;
+      throw new Error("No data extracted");
     }
 
+    // Separate the "Max Mark" rows and derive the grade boundary summary
+    const { dataRows, maxMarkRows, summary } = summariseData(processedData);
+
+    // Keep every tab of the conversion view in its own section
+    step = "capture tabs";
+    const tabs = await captureTabs(page);
+
     // Save the data
     const metadata = {
       qualificationType: qualType,
       session,
       subject,
       unit,
+      source: rawData.source,
+      // Which tab the All Scores data was read from (null when it came from the network)
+      allScoresTab: selectedTab,
     };
 
-    await saveData(processedData, metadata);
+    const sections = { maxMark: maxMarkRows[0] || null, summary, tabs };
+
+    // Malformed or partial tables are quarantined rather than saved as complete
+    step = "validate";
+    const problems = validateTable(dataRows);
+    if (problems.length > 0) {
+      const file = await quarantineData(dataRows, metadata, problems, sections);
+      const validationError = new Error(
+        `Validation failed: ${problems.join("; ")}`
+      );
+      validationError.quarantine = { problems, file };
+      throw validationError;
+    }
+
+    step = "save";
+    const { status } = await saveData(dataRows, metadata, sections);
 
     // Mark as completed in the tracker
     tracker.markAsCompleted(qualType, session, subject, unit);
     await tracker.save();
 
     console.log(`Successfully processed unit: ${unit}`);
-    await sleep(1000); // Add delay to avoid overloading server
-    return true;
+    return status;
   } catch (error) {
+    error.step = error.step || step;
+    error.tabAttempts = tabAttempts;
     throw error;
+  } finally {
+    capture.stop();
+    // Failed units get a screenshot too, showing where the page was left
+    if (recorder) await recorder.screenshot(page, unitInfo);
   }
 }
 
@@ -526,47 +1086,40 @@ async function processUnit(page, tracker, qualType, session, subject, unit) {
  * @param {string} session - Exam session (e.g. "June 2019")
  * @param {string} subject - Subject name
  * @param {string} unit - Unit name
+ * @param {string} qualificationType - Qualification family the unit belongs to
+ * @param {Object} config - Run configuration (base URL, output directory, recording)
  */
-async function testSingleUnit(session, subject, unit) {
+async function testSingleUnit(
+  session,
+  subject,
+  unit,
+  qualificationType = DEFAULT_CONFIG.qualifications[0],
+  config = DEFAULT_CONFIG
+) {
+  const { recorder, setupPage, baseUrl, outputDir } =
+    await prepareSession(config);
+  site.baseUrl = baseUrl;
+  configureSiteProfile(await loadSiteProfile(config.siteProfile));
+  configureStorage(outputDir);
+  const unitInfo = { qualificationType, session, subject, unit };
+
   console.log("Starting browser for test...");
   const browser = await puppeteer.launch({
     headless: false, // Use headed browser for visual debugging
     defaultViewport: null,
-    args: ["--window-size=1200,800"],
+    args: ["--window-size=1200,800", ...config.browserArgs],
   });
 
+  let page;
   try {
-    const page = await browser.newPage();
+    page = await browser.newPage();
+    if (setupPage) await setupPage(page);
 
     // Enable verbose console logging for testing
     page.on("console", (msg) => console.log(`PAGE LOG: ${msg.text()}`));
 
-    // Navigate to the main page with direct qualification parameter
-    console.log("Navigating to Pearson qualifications page...");
-    await page.goto(BASE_URL, {
-      waitUntil: "networkidle2",
-      timeout: 60000,
-    });
-
-    // Handle cookie banner
-    try {
-      console.log("Checking for cookie consent banner...");
-      const cookieBannerSelector = "#onetrust-reject-all-handler";
-      const cookieBannerExists = await page.evaluate((selector) => {
-        const banner = document.querySelector(selector);
-        return !!banner && banner.offsetParent !== null; // Check if visible
-      }, cookieBannerSelector);
-
-      if (cookieBannerExists) {
-        console.log("Dismissing cookie banner...");
-        await page.click(cookieBannerSelector);
-        await sleep(2000);
-      }
-    } catch (cookieError) {
-      console.log("No cookie banner found or error dismissing it");
-    }
-
-    await sleep(3000); // Add delay to ensure page is fully loaded
+    // Open the wizard for the qualification and get past the cookie banner
+    await openQualification(page, qualificationType);
 
     console.log(`Testing extraction for: ${session} / ${subject} / ${unit}`);
 
@@ -575,18 +1128,18 @@ async function testSingleUnit(session, subject, unit) {
 
     // Select subject
     await selectSubject(page, subject);
+    if (recorder) await recorder.snapshot(page, unitInfo, "unit-list");
 
     // Select unit
     await selectUnit(page, unit);
+    if (recorder) await recorder.snapshot(page, unitInfo, "conversion-view");
 
     // Check for tabs
-    const hasTabsSection = await page.evaluate(() => {
-      const tabsSection =
-        document.querySelector("#gcstep5") ||
-        document.querySelector(".nav.nav-tabs") ||
-        document.querySelector("ul[role='tablist']");
-      return !!tabsSection;
-    });
+    const conversionView = await matchSelectorTiers(
+      page,
+      siteProfile.selectors.conversionView
+    );
+    const hasTabsSection = conversionView.tier >= 0;
 
     if (!hasTabsSection) {
       console.log("No tabs section found!");
@@ -595,10 +1148,11 @@ async function testSingleUnit(session, subject, unit) {
 
     // Select All Scores tab
     await selectAllScoresTab(page);
+    if (recorder) await recorder.snapshot(page, unitInfo, "all-scores");
 
     // Extract data
     console.log("Extracting data...");
-    const rawData = await extractAllScoresData(page, sleep);
+    const rawData = await extractAllScoresData(page);
 
     // Process the data
     const processedData = processData(rawData);
@@ -610,13 +1164,25 @@ async function testSingleUnit(session, subject, unit) {
 
     // Save the data
     const metadata = {
-      qualificationType: QUALIFICATION_TYPE,
+      qualificationType,
       session,
       subject,
       unit,
     };
 
-    await saveData(processedData, metadata);
+    const { dataRows, maxMarkRows, summary } = summariseData(processedData);
+    const sections = { maxMark: maxMarkRows[0] || null, summary };
+
+    // An invalid table is quarantined, as in a full run, instead of saved
+    const problems = validateTable(dataRows);
+    if (problems.length > 0) {
+      const file = await quarantineData(dataRows, metadata, problems, sections);
+      console.error(
+        `Validation failed: ${problems.join("; ")}. Unit quarantined at ${file}`
+      );
+      return;
+    }
+    await saveData(dataRows, metadata, sections);
 
     // Wait for user to examine the page
     console.log("Test complete. Browser will close in 10 seconds...");
@@ -628,11 +1194,16 @@ async function testSingleUnit(session, subject, unit) {
     await sleep(30000);
     throw error;
   } finally {
+    if (recorder) {
+      if (page) await recorder.screenshot(page, unitInfo);
+      await recorder.finish();
+    }
     await browser.close();
   }
 }
 
 module.exports = {
+  dismissCookieBanner,
   scrapeSeries,
   processSubject,
   processUnit,
@@ -0,0 +1,379 @@
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { parseCommandArgs } = require("./config");
+const { compareSessions, resolveSourceDir, loadUnits } = require("./dataStore");
+const {
+  normaliseSession,
+  matchUnits,
+  lookupRaw,
+  lookupUms,
+  lookupGrade,
+} = require("./query");
+
+const DEFAULT_PORT = 3000;
+// Only listen locally unless another host is asked for
+const DEFAULT_HOST = "127.0.0.1";
+// Unit files are checked for changes at most this often (ms)
+const RELOAD_CHECK_INTERVAL = 1000;
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Sorted unique values
+ * @param {Array} values - Values
+ * @param {Function} compare - Sort comparison
+ * @returns {Array} - Unique values in order
+ */
+function unique(values, compare) {
+  return [...new Set(values)].sort(compare);
+}
+
+/**
+ * Describe a unit for the listing routes
+ * @param {Object} unit - Unit from loadUnits
+ * @returns {Object} - Unit code, name, maximum marks and grade boundaries
+ */
+function describeUnit(unit) {
+  return {
+    unitCode: unit.unitCode,
+    unit: unit.unit,
+    maxRaw: unit.summary.maxRaw,
+    maxUms: unit.summary.maxUms,
+    grades: unit.summary.grades,
+    timestamp: unit.metadata.timestamp || null,
+  };
+}
+
+/**
+ * Build the ETag for a response from the scrape timestamps of the units it was built from
+ * @param {string} url - Request URL
+ * @param {Array} units - Units the response depends on
+ * @returns {string} - Quoted ETag
+ */
+function etagFor(url, units) {
+  const hash = crypto.createHash("sha1").update(url);
+  for (const unit of units) {
+    hash.update(`\n${unit.file}|${unit.metadata.timestamp || ""}`);
+  }
+  return `"${hash.digest("hex")}"`;
+}
+
+/**
+ * Answer a /convert request
+ * @param {Array} units - Units from loadUnits
+ * @param {URLSearchParams} params - Query parameters (unit, session and raw, ums or grade)
+ * @returns {Object} - { units, body }
+ */
+function convert(units, params) {
+  const unitCode = params.get("unit");
+  const session = params.get("session");
+  const questions = ["raw", "ums", "grade"].filter((key) => params.has(key));
+  if (!unitCode || !session || questions.length !== 1) {
+    throw new HttpError(
+      400,
+      "Expected unit, session and one of raw, ums or grade"
+    );
+  }
+
+  const matches = matchUnits(units, unitCode, session);
+  if (matches.length === 0) {
+    throw new HttpError(404, `No data found for ${unitCode} in ${session}`);
+  }
+  const codes = unique(matches.map((unit) => unit.unitCode));
+  if (codes.length > 1) {
+    throw new HttpError(
+      400,
+      `${unitCode} matches several units: ${codes.join(", ")}`
+    );
+  }
+  const unit = matches[0];
+
+  const mark = (key) => {
+    const value = params.get(key);
+    if (!/^\d+$/.test(value)) {
+      throw new HttpError(400, `${key} must be a whole number`);
+    }
+    return parseInt(value, 10);
+  };
+
+  let row;
+  try {
+    if (params.has("raw")) row = lookupRaw(unit, mark("raw"));
+    else if (params.has("ums")) row = lookupUms(unit, mark("ums"));
+    else row = lookupGrade(unit, params.get("grade"));
+  } catch (error) {
+    if (error instanceof HttpError) throw error;
+    throw new HttpError(404, error.message);
+  }
+
+  return {
+    units: [unit],
+    body: {
+      qualificationType: unit.qualificationType,
+      session: unit.session,
+      subject: unit.subject,
+      unitCode: unit.unitCode,
+      unit: unit.unit,
+      maxRaw: unit.summary.maxRaw,
+      maxUms: unit.summary.maxUms,
+      ...row,
+    },
+  };
+}
+
+/**
+ * Work out the response for a request path
+ * Every route takes an optional ?qualification= filter
+ * @param {Array} allUnits - Units from loadUnits
+ * @param {URL} url - Parsed request URL
+ * @returns {Object} - { units, body } where units are those the body was built from
+ */
+function route(allUnits, url) {
+  const segments = url.pathname
+    .split("/")
+    .filter((segment) => segment.length > 0)
+    .map((segment) => {
+      try {
+        return decodeURIComponent(segment);
+      } catch (error) {
+        throw new HttpError(400, `Malformed path segment ${segment}`);
+      }
+    });
+  const qualification = url.searchParams.get("qualification");
+  const units = qualification
+    ? allUnits.filter(
+        (unit) =>
+          unit.qualificationType.toLowerCase() ===
+          qualification.replace(/_/g, " ").toLowerCase()
+      )
+    : allUnits;
+  const sameName = (a, b) => normaliseSession(a) === normaliseSession(b);
+
+  const [name, ...params] = segments;
+
+  if (name === "qualifications" && params.length === 0) {
+    return {
+      units,
+      body: unique(units.map((unit) => unit.qualificationType)),
+    };
+  }
+
+  if (name === "sessions" && params.length === 0) {
+    return {
+      units,
+      body: unique(
+        units.map((unit) => unit.session),
+        compareSessions
+      ),
+    };
+  }
+
+  if (name === "subjects" && params.length === 1) {
+    const sessionUnits = units.filter((unit) =>
+      sameName(unit.session, params[0])
+    );
+    if (sessionUnits.length === 0) {
+      throw new HttpError(404, `No data found for session ${params[0]}`);
+    }
+    return {
+      units: sessionUnits,
+      body: unique(sessionUnits.map((unit) => unit.subject)),
+    };
+  }
+
+  if (name === "units" && params.length === 2) {
+    const subjectUnits = units.filter(
+      (unit) =>
+        sameName(unit.session, params[0]) && sameName(unit.subject, params[1])
+    );
+    if (subjectUnits.length === 0) {
+      throw new HttpError(
+        404,
+        `No data found for ${params[1]} in ${params[0]}`
+      );
+    }
+    return { units: subjectUnits, body: subjectUnits.map(describeUnit) };
+  }
+
+  if (name === "convert" && params.length === 0) {
+    return convert(units, url.searchParams);
+  }
+
+  throw new HttpError(404, `Unknown route ${url.pathname}`);
+}
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to send as JSON (omitted for HEAD requests)
+ * @param {Object} headers - Extra headers
+ * @param {boolean} head - Whether this is a HEAD request
+ */
+function sendJson(res, status, body, headers = {}, head = false) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    ...headers,
+  });
+  res.end(head ? undefined : payload);
+}
+
+/**
+ * Describe the unit files below a directory by their paths, sizes and modification times
+ * @param {string} sourceDir - Directory holding the unit files
+ * @returns {string} - Signature that changes when a unit file is added, removed or rewritten
+ */
+async function sourceSignature(sourceDir) {
+  const files = (await fs.readdir(sourceDir, { recursive: true }))
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+  const entries = await Promise.all(
+    files.map(async (file) => {
+      try {
+        const stat = await fs.stat(path.join(sourceDir, file));
+        return `${file}|${stat.size}|${stat.mtimeMs}`;
+      } catch (error) {
+        // Removed since the directory was listed
+        return `${file}|missing`;
+      }
+    })
+  );
+  return entries.join("\n");
+}
+
+/**
+ * Keep the units of a source directory loaded, reloading them when a unit file changes
+ * so a scrape running alongside the server is picked up
+ * @param {string} sourceDir - Directory holding the unit files
+ * @param {number} interval - Least time between checks for changed files (ms)
+ * @returns {Function} - Async function returning the current units
+ */
+async function watchUnits(sourceDir, interval = RELOAD_CHECK_INTERVAL) {
+  let signature = await sourceSignature(sourceDir);
+  let units = await loadUnits(sourceDir);
+  let checkedAt = Date.now();
+  let pending = null;
+
+  const reload = async () => {
+    const latest = await sourceSignature(sourceDir);
+    if (latest !== signature) {
+      signature = latest;
+      units = await loadUnits(sourceDir);
+      console.log(`Reloaded ${units.length} units from ${sourceDir}`);
+    }
+  };
+
+  return async () => {
+    if (!pending && Date.now() - checkedAt >= interval) {
+      checkedAt = Date.now();
+      // Requests arriving during a reload wait for it rather than starting another
+      pending = reload()
+        .catch((error) =>
+          console.error(
+            `Could not reload units from ${sourceDir}: ${error.message}`
+          )
+        )
+        .finally(() => {
+          pending = null;
+        });
+    }
+    if (pending) await pending;
+    return units;
+  };
+}
+
+/**
+ * Create the read-only API server over a set of loaded units
+ * @param {Function} currentUnits - Async function returning the units to serve
+ *   (e.g. from watchUnits)
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createServer(currentUnits) {
+  return http.createServer(async (req, res) => {
+    const head = req.method === "HEAD";
+    if (req.method !== "GET" && !head) {
+      sendJson(
+        res,
+        405,
+        { error: "Method not allowed" },
+        { Allow: "GET, HEAD" }
+      );
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const result = route(await currentUnits(), url);
+      const etag = etagFor(`${url.pathname}${url.search}`, result.units);
+      const headers = { ETag: etag, "Cache-Control": "no-cache" };
+
+      if (req.headers["if-none-match"] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      sendJson(res, 200, result.body, headers, head);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(`Error handling ${req.url}:`, error);
+      }
+      sendJson(res, status, { error: error.message }, {}, head);
+    }
+  });
+}
+
+/**
+ * Run the serve command
+ * Usage: node index.js serve [--port <port>] [--host <host>] [--source <dir>]
+ * Unit files that change while the server runs are reloaded
+ * @param {Array} argv - Arguments after "serve"
+ */
+async function runServe(argv) {
+  const { options } = parseCommandArgs(argv, {
+    values: { "--port": "port", "--host": "host", "--source": "source" },
+  });
+
+  const port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`--port must be a port number, got "${options.port}"`);
+  }
+  const host = options.host || DEFAULT_HOST;
+
+  const sourceDir = await resolveSourceDir(options.source);
+  const currentUnits = await watchUnits(sourceDir);
+  console.log(
+    `Loaded ${(await currentUnits()).length} units from ${sourceDir}`
+  );
+
+  const server = createServer(currentUnits);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(
+    `Serving grade conversion data on http://${host}:${server.address().port}`
+  );
+}
+
+module.exports = {
+  watchUnits,
+  createServer,
+  runServe,
+};
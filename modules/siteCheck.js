@@ -0,0 +1,329 @@
+/**
+ * Check that the grade conversion wizard still has the structure the scraper expects,
+ * so changes to the site's markup show up before a full run
+ */
+const puppeteer = require("puppeteer");
+const {
+  matchSelectorTiers,
+  selectAllScoresTab,
+  waitForStable,
+  configureWaits,
+} = require("./navigation");
+const { dismissCookieBanner } = require("./scraper");
+const {
+  siteProfile,
+  loadSiteProfile,
+  configureSiteProfile,
+} = require("./siteProfile");
+const { DEFAULT_CONFIG, loadConfig, parseCommandArgs } = require("./config");
+
+const USAGE =
+  "Usage: node index.js check-site [--base-url <url>] [--qualification <name>] [--site-profile <file>] [--config <file>]";
+
+// Order selectAllScoresTab tries its methods in; the first is the primary one
+const TAB_METHODS = ["text", "last tab", "ng-click"];
+
+// Every check a full walk of the wizard makes, besides the optional cookie banner
+const EXPECTED_CHECKS = [
+  "qualification list",
+  "session list",
+  "subject list",
+  "unit list",
+  "conversion view",
+  "tabs",
+  "All Scores tab",
+  "grade rows",
+  "grade columns",
+];
+
+/**
+ * Check one part of the wizard against its selector tiers
+ * Waits for the primary selector first, so a slow page is not mistaken for a changed one
+ * @param {Page} page - Puppeteer page object
+ * @param {string} name - Name of the part (e.g. "session list")
+ * @param {Array} selectors - Selectors in order of preference
+ * @returns {Object} - { name, tier, selector, count, texts }, with tier -1 if nothing matched
+ */
+async function checkTiers(page, name, selectors) {
+  await waitForStable(page, selectors[0], { step: name, optional: true });
+  const { tier, selector, texts } = await matchSelectorTiers(page, selectors);
+  return {
+    name,
+    tier,
+    tiers: selectors.length,
+    selector,
+    count: texts.length,
+    texts,
+  };
+}
+
+/**
+ * Click the option with a given label
+ * @param {Page} page - Puppeteer page object
+ * @param {string} selector - Selector matching the options
+ * @param {string} label - Text of the option to click
+ */
+async function clickOption(page, selector, label) {
+  const clicked = await page.evaluate(
+    (sel, text) => {
+      const link = Array.from(document.querySelectorAll(sel)).find(
+        (element) => element.textContent.trim() === text
+      );
+      if (link) link.click();
+      return !!link;
+    },
+    selector,
+    label
+  );
+
+  if (!clicked) {
+    throw new Error(`Could not click "${label}" with ${selector}`);
+  }
+}
+
+/**
+ * Walk the wizard once, checking each step, the tabs and the grade table
+ * Selectors come from the site profile in use
+ * Each step continues with the named qualification, the first valid session and the
+ * first subject and unit; the walk stops at the first part that cannot be found
+ * @param {Object} config - Run configuration (baseUrl, browserArgs)
+ * @param {string} qualification - Qualification family to walk through
+ * @returns {Array} - Checks in wizard order; see checkTiers. Optional checks do not fail the site
+ */
+async function checkSite(config, qualification) {
+  const checks = [];
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: config.browserArgs,
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.goto(config.baseUrl, {
+      waitUntil: "networkidle2",
+      timeout: 60000,
+    });
+
+    // Not every visitor is shown the banner, so a missing one is only reported
+    const banner = await matchSelectorTiers(
+      page,
+      siteProfile.selectors.cookieBanner
+    );
+    checks.push({
+      name: "cookie banner",
+      tier: banner.tier,
+      tiers: siteProfile.selectors.cookieBanner.length,
+      selector: banner.selector,
+      count: banner.texts.length,
+      optional: true,
+    });
+    await dismissCookieBanner(page);
+
+    const steps = [
+      {
+        name: "qualification list",
+        selectors: siteProfile.selectors.qualifications,
+        choose: (texts) => texts.find((text) => text === qualification),
+      },
+      {
+        name: "session list",
+        selectors: siteProfile.selectors.sessions,
+        choose: (texts) =>
+          texts.find((text) => siteProfile.sessionPattern.test(text)),
+      },
+      {
+        name: "subject list",
+        selectors: siteProfile.selectors.subjects,
+        choose: (texts) => texts.find((text) => text.length > 0),
+      },
+      {
+        name: "unit list",
+        selectors: siteProfile.selectors.units,
+        choose: (texts) => texts.find((text) => text.length > 0),
+      },
+    ];
+
+    for (const step of steps) {
+      const check = await checkTiers(page, step.name, step.selectors);
+      checks.push(check);
+      if (check.tier < 0) return checks;
+
+      check.chosen = step.choose(check.texts);
+      if (!check.chosen) {
+        // The links are there but none of them can be followed
+        check.tier = -1;
+        check.problem =
+          step.name === "session list"
+            ? `no option matches ${siteProfile.sessionPattern}`
+            : `no option to continue with${
+                step.name === "qualification list" ? ` (${qualification})` : ""
+              }`;
+        return checks;
+      }
+      await clickOption(page, check.selector, check.chosen);
+    }
+
+    const view = await checkTiers(
+      page,
+      "conversion view",
+      siteProfile.selectors.conversionView
+    );
+    checks.push(view);
+    if (view.tier < 0) return checks;
+
+    const tabs = await checkTiers(page, "tabs", siteProfile.selectors.tabs);
+    checks.push(tabs);
+
+    const selectedTab = await selectAllScoresTab(page);
+    const method = TAB_METHODS.includes(selectedTab.method)
+      ? TAB_METHODS.indexOf(selectedTab.method)
+      : TAB_METHODS.length;
+    const tabCheck = {
+      name: "All Scores tab",
+      tier: method,
+      tiers: TAB_METHODS.length + 1,
+      selector: `${selectedTab.method} ("${selectedTab.text}")`,
+      count: 1,
+    };
+    if (!selectedTab.clicked) {
+      Object.assign(tabCheck, { tier: -1, count: 0, problem: "no tab found" });
+    } else if (!selectedTab.verified) {
+      tabCheck.tier = -1;
+      tabCheck.problem = `clicked "${selectedTab.text}", which is not labelled All Scores`;
+    }
+    checks.push(tabCheck);
+
+    const rows = await checkTiers(
+      page,
+      "grade rows",
+      siteProfile.selectors.gradeRows
+    );
+    checks.push(rows);
+
+    // Every row needs its RAW, UMS and grade columns
+    if (rows.tier >= 0) {
+      const { columns } = siteProfile;
+      const needed = Math.max(columns.RAW, columns.UMS, columns.GRADE) + 1;
+      const found = await page.evaluate(
+        (rowSelector, columnSelectors, columnCount) => {
+          const gradeRows = Array.from(document.querySelectorAll(rowSelector));
+          // Rows complete with each column selector, in tier order
+          const complete = columnSelectors.map(
+            (selector) =>
+              gradeRows.filter(
+                (row) => row.querySelectorAll(selector).length >= columnCount
+              ).length
+          );
+          return { rows: gradeRows.length, complete };
+        },
+        rows.selector,
+        siteProfile.selectors.gradeColumns,
+        needed
+      );
+      const tier = found.complete.findIndex((count) => count === found.rows);
+      const check = {
+        name: "grade columns",
+        tier,
+        tiers: siteProfile.selectors.gradeColumns.length,
+        selector: tier >= 0 ? siteProfile.selectors.gradeColumns[tier] : null,
+        count: tier >= 0 ? found.complete[tier] : Math.max(...found.complete),
+      };
+      if (tier < 0) {
+        check.problem = `${found.rows - check.count} of ${found.rows} rows have fewer than ${needed} columns`;
+      }
+      checks.push(check);
+    }
+
+    return checks;
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Describe a check for the report
+ * @param {Object} check - Check from checkSite
+ * @returns {string} - One report line
+ */
+function describeCheck(check) {
+  let status;
+  let detail;
+  if (check.tier === 0) {
+    status = "ok";
+    detail = `${check.selector} (${check.count} found)`;
+  } else if (check.tier > 0) {
+    status = "FALLBACK";
+    detail = `tier ${check.tier + 1} of ${check.tiers}: ${check.selector} (${check.count} found)`;
+  } else {
+    status = check.optional ? "absent" : "MISSING";
+    detail = check.problem || "no selector matched";
+  }
+  if (check.chosen && check.tier >= 0) {
+    detail += `, continuing with "${check.chosen}"`;
+  }
+  return `  ${status.padEnd(9)} ${check.name.padEnd(19)} ${detail}`;
+}
+
+/**
+ * Run the check-site command (also available as doctor)
+ * Exits with an error if any expected part of the site is only found by a fallback selector
+ * @param {Array} argv - Arguments after "check-site"
+ */
+async function runCheckSite(argv) {
+  const { options, positionals } = parseCommandArgs(argv, {
+    values: {
+      "--base-url": "baseUrl",
+      "--qualification": "qualification",
+      "--site-profile": "siteProfile",
+      "--config": "configFile",
+    },
+  });
+  if (positionals.length > 0) {
+    throw new Error(USAGE);
+  }
+
+  // The config file supplies the base URL, browser switches and wait timings, as for a run
+  const config = await loadConfig([
+    ...(options.configFile ? ["--config", options.configFile] : []),
+    ...(options.baseUrl ? ["--base-url", options.baseUrl] : []),
+    ...(options.siteProfile ? ["--site-profile", options.siteProfile] : []),
+  ]);
+  configureWaits(config.waits);
+  configureSiteProfile(await loadSiteProfile(config.siteProfile));
+  const qualification =
+    options.qualification ||
+    config.qualifications.find((name) => name.toLowerCase() !== "all") ||
+    DEFAULT_CONFIG.qualifications[0];
+
+  console.log(
+    `Checking the wizard at ${config.baseUrl} (${qualification}) against the ${siteProfile.name} profile`
+  );
+  const checks = await checkSite(config, qualification);
+
+  console.log("\n========== Site Check ==========");
+  checks.forEach((check) => console.log(describeCheck(check)));
+
+  const reached = new Set(checks.map((check) => check.name));
+  const unchecked = EXPECTED_CHECKS.filter((name) => !reached.has(name));
+  if (unchecked.length > 0) {
+    console.log(`  Not reached: ${unchecked.join(", ")}`);
+  }
+
+  const broken = checks
+    .filter((check) => !check.optional && check.tier !== 0)
+    .map((check) => check.name);
+  if (broken.length > 0 || unchecked.length > 0) {
+    throw new Error(
+      `The site no longer matches the primary selectors for: ${[
+        ...broken,
+        ...unchecked,
+      ].join(", ")}`
+    );
+  }
+  console.log("All primary selectors match");
+}
+
+module.exports = {
+  checkSite,
+  runCheckSite,
+};
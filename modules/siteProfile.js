@@ -0,0 +1,156 @@
+/**
+ * Site profiles: the selectors and patterns that describe a grade conversion wizard
+ *
+ * A profile is a JSON file with these keys (see profiles/pearson.json):
+ *   name - Description of the site
+ *   qualificationUrl - URL opening the wizard for a qualification, with {baseUrl} and
+ *     {qualification} placeholders
+ *   sessionPattern - Regular expression exam session names must match
+ *   selectors - For each part of the wizard, selectors tried in order until one matches,
+ *     the first being the site's own markup: wizard, qualifications, sessions, subjects,
+ *     units, conversionView, tabs, gradeRows, gradeColumns and cookieBanner
+ *   allScoresTab - label: regular expression for the All Scores tab label (case-insensitive);
+ *     selectors: tabs to click directly when no tab has that label
+ *   columns - Position of the RAW, UMS and GRADE columns in a grade row
+ * A profile only needs the keys that differ from the Pearson profile; selectors are
+ * overridden one part at a time
+ */
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEFAULT_PROFILE_FILE = path.join(
+  __dirname,
+  "..",
+  "profiles",
+  "pearson.json"
+);
+const DEFAULT_PROFILE = require(DEFAULT_PROFILE_FILE);
+
+// Profile in use, with its patterns compiled; replaced by configureSiteProfile
+const siteProfile = {};
+
+/**
+ * Compile a regular expression from a profile
+ * @param {string} name - Profile key, for error messages
+ * @param {string} source - Regular expression source
+ * @returns {RegExp} - Case-insensitive for the tab label, as given otherwise
+ */
+function compilePattern(name, source) {
+  try {
+    return new RegExp(source, name === "allScoresTab.label" ? "i" : "");
+  } catch (error) {
+    throw new Error(`Invalid ${name} in site profile: ${error.message}`);
+  }
+}
+
+/**
+ * Merge a profile over the Pearson profile and check it
+ * @param {Object} overrides - Profile values (any keys may be left out)
+ * @returns {Object} - Complete profile with sessionPattern and allScoresTab.label compiled
+ */
+function resolveSiteProfile(overrides = {}) {
+  const profile = {
+    ...DEFAULT_PROFILE,
+    ...overrides,
+    selectors: { ...DEFAULT_PROFILE.selectors, ...overrides.selectors },
+    allScoresTab: {
+      ...DEFAULT_PROFILE.allScoresTab,
+      ...overrides.allScoresTab,
+    },
+    columns: { ...DEFAULT_PROFILE.columns, ...overrides.columns },
+  };
+
+  for (const [part, selectors] of Object.entries(profile.selectors)) {
+    if (
+      !Array.isArray(selectors) ||
+      selectors.length === 0 ||
+      !selectors.every((selector) => typeof selector === "string")
+    ) {
+      throw new Error(
+        `selectors.${part} in site profile must be a non-empty list of selectors`
+      );
+    }
+  }
+  if (!Array.isArray(profile.allScoresTab.selectors)) {
+    throw new Error(
+      "allScoresTab.selectors in site profile must be a list of selectors"
+    );
+  }
+  for (const [column, position] of Object.entries(profile.columns)) {
+    if (!Number.isInteger(position) || position < 0) {
+      throw new Error(
+        `columns.${column} in site profile must be a column position, got ${position}`
+      );
+    }
+  }
+  if (!String(profile.qualificationUrl).includes("{qualification}")) {
+    throw new Error(
+      "qualificationUrl in site profile must contain {qualification}"
+    );
+  }
+
+  return {
+    ...profile,
+    sessionPattern: compilePattern("sessionPattern", profile.sessionPattern),
+    allScoresTab: {
+      ...profile.allScoresTab,
+      label: compilePattern("allScoresTab.label", profile.allScoresTab.label),
+    },
+  };
+}
+
+/**
+ * Load a site profile
+ * @param {string|Object|null} source - Profile file, profile values from the config file,
+ *   or null for the Pearson profile
+ * @returns {Object} - Complete profile, ready for configureSiteProfile
+ */
+async function loadSiteProfile(source = null) {
+  if (!source) {
+    return resolveSiteProfile();
+  }
+  if (typeof source === "object") {
+    return resolveSiteProfile(source);
+  }
+
+  let contents;
+  try {
+    contents = await fs.readFile(path.resolve(source), "utf8");
+  } catch (error) {
+    throw new Error(`Could not read site profile ${source}: ${error.message}`);
+  }
+  try {
+    return resolveSiteProfile(JSON.parse(contents));
+  } catch (error) {
+    throw new Error(`Invalid site profile ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Use a profile for the rest of the run
+ * @param {Object} profile - Profile returned by loadSiteProfile
+ */
+function configureSiteProfile(profile) {
+  for (const key of Object.keys(siteProfile)) {
+    delete siteProfile[key];
+  }
+  Object.assign(siteProfile, profile);
+}
+
+/**
+ * Get the site's own selector for a part of the wizard
+ * @param {string} part - Key of the profile's selectors (e.g. "sessions")
+ * @returns {string} - The first selector listed for that part
+ */
+function primarySelector(part) {
+  return siteProfile.selectors[part][0];
+}
+
+configureSiteProfile(resolveSiteProfile());
+
+module.exports = {
+  siteProfile,
+  loadSiteProfile,
+  configureSiteProfile,
+  primarySelector,
+};
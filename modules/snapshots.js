@@ -0,0 +1,238 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { parseCommandArgs } = require("./config");
+const { writeFileAtomic } = require("./atomicFile");
+
+// Directory holding data/ and snapshots/ (the project directory unless configured)
+// snapshots/ keeps immutable copies of every version of every unit, keyed by content hash
+const storage = {};
+const MANIFEST_NAME = "manifest.json";
+
+/**
+ * Set the directory that data/ and snapshots/ are found under
+ * @param {string} rootDir - Output directory
+ */
+function configureStorage(rootDir) {
+  storage.rootDir = rootDir;
+  storage.dataDir = path.join(rootDir, "data");
+  storage.snapshotDir = path.join(rootDir, "snapshots");
+  storage.changelogFile = path.join(storage.dataDir, "changelog.jsonl");
+}
+
+configureStorage(path.join(__dirname, ".."));
+
+const USAGE =
+  "Usage: node index.js rollback <unit file under data/> [--to <hash>] [--list]";
+
+/**
+ * Get the snapshot directory of a unit file, mirroring its place under data/
+ * e.g. data/<qual>/<session>/<subject>/<unit>.json -> snapshots/<qual>/<session>/<subject>/<unit>/
+ * @param {string} dataFile - Path of the unit file under data/
+ * @returns {string} - Snapshot directory
+ */
+function snapshotDir(dataFile) {
+  const relative = path.relative(storage.dataDir, path.resolve(dataFile));
+  if (relative.startsWith("..") || path.isAbsolute(relative)) {
+    throw new Error(`${dataFile} is not a unit file under ${storage.dataDir}`);
+  }
+  return path.join(storage.snapshotDir, relative.replace(/\.json$/, ""));
+}
+
+/**
+ * Read a unit's manifest
+ * @param {string} dir - Snapshot directory
+ * @returns {Object|null} - Manifest, or null if the unit has no snapshots yet
+ */
+async function readManifest(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, MANIFEST_NAME), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(
+      `Could not read snapshot manifest in ${dir}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Check whether a unit has any recorded snapshots
+ * @param {string} dataFile - Path of the unit file under data/
+ * @returns {boolean} - True if the unit has a manifest
+ */
+async function hasSnapshots(dataFile) {
+  return (await readManifest(snapshotDir(dataFile))) !== null;
+}
+
+/**
+ * Record a version of a unit in its manifest, storing the snapshot if it is new
+ * Snapshots are written once and never replaced; later scrapes with the same
+ * content only add an event and move the version's lastSeen
+ * @param {string} dataFile - Path of the unit file under data/
+ * @param {string} hash - Content hash of the version
+ * @param {Object|null} contents - Full unit file contents, stored if the snapshot does not exist yet
+ * @param {string} event - What happened ("import", "new", "changed", "unchanged" or "rollback")
+ * @param {string} timestamp - When it happened
+ * @returns {Object} - { manifest, snapshotPath }
+ */
+async function recordVersion(dataFile, hash, contents, event, timestamp) {
+  const dir = snapshotDir(dataFile);
+  await fs.mkdir(dir, { recursive: true });
+
+  const snapshotPath = path.join(dir, `${hash}.json`);
+  if (contents) {
+    try {
+      await writeFileAtomic(snapshotPath, JSON.stringify(contents, null, 2), {
+        exclusive: true,
+      });
+    } catch (error) {
+      // The same content was stored before; snapshots are never rewritten
+      if (error.code !== "EEXIST") throw error;
+    }
+  }
+
+  const manifest = (await readManifest(dir)) || {
+    current: null,
+    versions: {},
+    events: [],
+  };
+  const version = manifest.versions[hash] || {
+    file: `${hash}.json`,
+    firstSeen: timestamp,
+  };
+  // Rolling back does not mean the site showed this version again
+  if (event !== "rollback" || !version.lastSeen) version.lastSeen = timestamp;
+  manifest.versions[hash] = version;
+  manifest.events.push({ timestamp, event, hash });
+  manifest.current = hash;
+
+  await writeFileAtomic(
+    path.join(dir, MANIFEST_NAME),
+    JSON.stringify(manifest, null, 2)
+  );
+  return { manifest, snapshotPath };
+}
+
+/**
+ * Append an entry to the changelog of units whose stored version changed
+ * @param {Object} entry - Changelog entry
+ */
+async function appendChangelog(entry) {
+  await fs.mkdir(path.dirname(storage.changelogFile), { recursive: true });
+  await fs.appendFile(
+    storage.changelogFile,
+    `${JSON.stringify(entry)}\n`,
+    "utf8"
+  );
+}
+
+/**
+ * Find the version a unit had before its current one
+ * @param {Object} manifest - Unit manifest
+ * @returns {string|null} - Hash of the previous version
+ */
+function previousVersion(manifest) {
+  for (let i = manifest.events.length - 1; i >= 0; i--) {
+    if (manifest.events[i].hash !== manifest.current) {
+      return manifest.events[i].hash;
+    }
+  }
+  return null;
+}
+
+/**
+ * Restore a unit file to one of its snapshots
+ * @param {string} dataFile - Path of the unit file under data/
+ * @param {string} target - Hash (or unique hash prefix) to restore; the previous version if omitted
+ * @returns {Object} - { from, to } hashes
+ */
+async function rollbackUnit(dataFile, target = null) {
+  const dir = snapshotDir(dataFile);
+  const manifest = await readManifest(dir);
+  if (!manifest) {
+    throw new Error(`No snapshots recorded for ${dataFile}`);
+  }
+
+  let hash;
+  if (target) {
+    const matches = Object.keys(manifest.versions).filter((candidate) =>
+      candidate.startsWith(target)
+    );
+    if (matches.length !== 1) {
+      throw new Error(
+        matches.length === 0
+          ? `No version ${target} of ${dataFile}`
+          : `${target} matches several versions, give more of the hash`
+      );
+    }
+    [hash] = matches;
+  } else {
+    hash = previousVersion(manifest);
+    if (!hash) {
+      throw new Error(`${dataFile} has no earlier version to roll back to`);
+    }
+  }
+
+  const snapshotPath = path.join(dir, manifest.versions[hash].file);
+  const contents = await fs.readFile(snapshotPath, "utf8");
+  await writeFileAtomic(path.resolve(dataFile), contents);
+
+  const timestamp = new Date().toISOString();
+  const from = manifest.current;
+  const { metadata = {} } = JSON.parse(contents);
+  await recordVersion(dataFile, hash, null, "rollback", timestamp);
+  await appendChangelog({
+    timestamp,
+    event: "rollback",
+    qualificationType: metadata.qualificationType,
+    session: metadata.session,
+    subject: metadata.subject,
+    unit: metadata.unit,
+    previousHash: from,
+    hash,
+    snapshot: path.relative(storage.rootDir, snapshotPath),
+  });
+
+  return { from, to: hash };
+}
+
+/**
+ * Run the rollback command
+ * @param {Array} argv - Arguments after "rollback"
+ */
+async function runRollback(argv) {
+  const { options, positionals } = parseCommandArgs(argv, {
+    values: { "--to": "to" },
+    booleans: { "--list": "list" },
+  });
+  const [dataFile] = positionals;
+  if (!dataFile || positionals.length > 1) {
+    throw new Error(USAGE);
+  }
+
+  if (options.list) {
+    const manifest = await readManifest(snapshotDir(dataFile));
+    if (!manifest) {
+      throw new Error(`No snapshots recorded for ${dataFile}`);
+    }
+    for (const [hash, version] of Object.entries(manifest.versions)) {
+      const marker = hash === manifest.current ? "*" : " ";
+      console.log(
+        `${marker} ${hash}  first seen ${version.firstSeen}, last seen ${version.lastSeen}`
+      );
+    }
+    return;
+  }
+
+  const { from, to } = await rollbackUnit(dataFile, options.to);
+  console.log(`Rolled back ${dataFile} from ${from} to ${to}`);
+}
+
+module.exports = {
+  configureStorage,
+  snapshotDir,
+  hasSnapshots,
+  recordVersion,
+  appendChangelog,
+  rollbackUnit,
+  runRollback,
+};
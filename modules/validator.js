@@ -0,0 +1,111 @@
+/**
+ * Sanity checks for extracted grade conversion tables
+ */
+
+const { normaliseGrade } = require("./dataProcessor");
+
+// Known grade scales, lowest grade first, as normalised by normaliseGrade
+const GRADE_SCALES = [
+  ["U", "E", "D", "C", "B", "A", "A*"],
+  ["U", "G", "F", "E", "D", "C", "B", "A", "A*"],
+  ["U", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+];
+
+// Number of values to list before a problem message is shortened
+const MAX_LISTED = 5;
+
+/**
+ * List values for a problem message, shortening long lists
+ * @param {Array} values - Values to list
+ * @returns {string} - Comma-separated values
+ */
+function listValues(values) {
+  const listed = values.slice(0, MAX_LISTED).join(", ");
+  return values.length > MAX_LISTED
+    ? `${listed} and ${values.length - MAX_LISTED} more`
+    : listed;
+}
+
+/**
+ * Check a conversion table (without its "Max Mark" rows) for signs of a
+ * malformed or partial extraction
+ * @param {Array} rows - RAW/UMS/GRADE rows
+ * @returns {Array} - Descriptions of the problems found, empty if the table is valid
+ */
+function validateTable(rows) {
+  const problems = [];
+
+  if (rows.length === 0) {
+    return ["Table has no rows"];
+  }
+
+  const byRaw = [...rows].sort((a, b) => a.RAW - b.RAW);
+
+  // No duplicate RAW values
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const row of byRaw) {
+    if (seen.has(row.RAW)) duplicates.add(row.RAW);
+    seen.add(row.RAW);
+  }
+  if (duplicates.size > 0) {
+    problems.push(`Duplicate RAW values: ${listValues([...duplicates])}`);
+  }
+
+  // RAW contiguous from 0 to the highest mark
+  const maxRaw = byRaw[byRaw.length - 1].RAW;
+  const missing = [];
+  for (let raw = 0; raw <= maxRaw; raw++) {
+    if (!seen.has(raw)) missing.push(raw);
+  }
+  if (byRaw[0].RAW < 0) {
+    problems.push(`Negative RAW value: ${byRaw[0].RAW}`);
+  }
+  if (missing.length > 0) {
+    problems.push(
+      `RAW is not contiguous from 0 to ${maxRaw}, missing: ${listValues(
+        missing
+      )}`
+    );
+  }
+
+  // UMS never falls as RAW rises
+  const umsDrops = [];
+  for (let i = 1; i < byRaw.length; i++) {
+    if (byRaw[i].UMS < byRaw[i - 1].UMS) {
+      umsDrops.push(
+        `RAW ${byRaw[i].RAW} (${byRaw[i - 1].UMS} -> ${byRaw[i].UMS})`
+      );
+    }
+  }
+  if (umsDrops.length > 0) {
+    problems.push(`UMS decreases as RAW increases at ${listValues(umsDrops)}`);
+  }
+
+  // Grades belong to one known scale and never fall as RAW rises
+  const grades = [...new Set(byRaw.map((row) => normaliseGrade(row.GRADE)))];
+  const scale = GRADE_SCALES.find((candidate) =>
+    grades.every((grade) => candidate.includes(grade))
+  );
+  if (!scale) {
+    problems.push(`Unrecognised grades: ${listValues(grades)}`);
+  } else {
+    const gradeDrops = [];
+    for (let i = 1; i < byRaw.length; i++) {
+      const previous = normaliseGrade(byRaw[i - 1].GRADE);
+      const current = normaliseGrade(byRaw[i].GRADE);
+      if (scale.indexOf(current) < scale.indexOf(previous)) {
+        gradeDrops.push(`RAW ${byRaw[i].RAW} (${previous} -> ${current})`);
+      }
+    }
+    if (gradeDrops.length > 0) {
+      problems.push(`Grades out of order at ${listValues(gradeDrops)}`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validateTable,
+};
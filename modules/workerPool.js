@@ -0,0 +1,79 @@
+/**
+ * Worker pool and rate limiting for scraping with several pages at once
+ */
+
+const { sleep } = require("./navigation");
+
+/**
+ * Pool of workers taking jobs from a shared first-in, first-out queue
+ */
+class WorkerPool {
+  /**
+   * @param {Array} workers - Worker objects (e.g. { id, page }) handed to each job
+   */
+  constructor(workers) {
+    this.idle = [...workers];
+    this.queue = [];
+  }
+
+  /**
+   * Run a job on the next free worker
+   * @param {Function} job - Async function called with the worker
+   * @returns {Promise} - Resolves with the job's result once it has run
+   */
+  run(job) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers
+   */
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.shift();
+      const { job, resolve, reject } = this.queue.shift();
+
+      Promise.resolve()
+        .then(() => job(worker))
+        .then(resolve, reject)
+        .finally(() => {
+          this.idle.push(worker);
+          this.dispatch();
+        });
+    }
+  }
+}
+
+/**
+ * Global rate limiter spacing out actions across all workers
+ */
+class RateLimiter {
+  /**
+   * @param {number} minInterval - Minimum milliseconds between two actions
+   */
+  constructor(minInterval) {
+    this.minInterval = minInterval;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Wait for the next free slot
+   */
+  async wait() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.minInterval;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+module.exports = {
+  WorkerPool,
+  RateLimiter,
+};
@@ -0,0 +1,47 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { writeFileAtomic } = require("../modules/atomicFile");
+
+let tmpDir;
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-atomic-"));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("a file is replaced in full and no temporary file is left", async () => {
+  const filePath = path.join(tmpDir, "unit.json");
+  await writeFileAtomic(filePath, "first");
+  await writeFileAtomic(filePath, "second");
+
+  assert.equal(await fs.readFile(filePath, "utf8"), "second");
+  assert.deepEqual(await fs.readdir(tmpDir), ["unit.json"]);
+});
+
+test("an exclusive write never replaces an existing file", async () => {
+  const filePath = path.join(tmpDir, "snapshot.json");
+  await writeFileAtomic(filePath, "original", { exclusive: true });
+
+  await assert.rejects(
+    writeFileAtomic(filePath, "replacement", { exclusive: true }),
+    { code: "EEXIST" }
+  );
+  assert.equal(await fs.readFile(filePath, "utf8"), "original");
+  assert.deepEqual(await fs.readdir(tmpDir), ["snapshot.json"]);
+});
+
+test("a failed write leaves no temporary file behind", async () => {
+  // A directory in the way makes the final rename fail
+  const blocked = path.join(tmpDir, "blocked");
+  await fs.mkdir(path.join(blocked, "child"), { recursive: true });
+
+  await assert.rejects(writeFileAtomic(blocked, "contents"));
+  assert.deepEqual(await fs.readdir(tmpDir), ["blocked"]);
+  assert.deepEqual(await fs.readdir(blocked), ["child"]);
+});
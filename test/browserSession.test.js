@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const BrowserSession = require("../modules/browserSession");
+
+/**
+ * Build a session around a stand-in browser, so no browser is launched
+ * @param {boolean} connected - Whether the browser is still connected
+ * @returns {BrowserSession} - Session
+ */
+function makeSession(connected = true) {
+  const session = new BrowserSession({});
+  session.browser = { isConnected: () => connected };
+  return session;
+}
+
+/**
+ * Build a stand-in page
+ * @param {Object} state - { closed, detached }
+ * @returns {Object} - Page with the methods isBrowserFailure reads
+ */
+function makePage({ closed = false, detached = false } = {}) {
+  return {
+    isClosed: () => closed,
+    mainFrame: () => ({ detached }),
+  };
+}
+
+test("lost targets, sessions and frames count as browser failures", () => {
+  const session = makeSession();
+  for (const message of [
+    "Protocol error (Runtime.callFunctionOn): Target closed.",
+    "Protocol error (DOM.describeNode): Session closed. Most likely the page has been closed.",
+    "Protocol error: Connection closed.",
+    "Attempted to use detached Frame 'F1A2'.",
+  ]) {
+    assert.equal(
+      session.isBrowserFailure(new Error(message), makePage()),
+      true,
+      message
+    );
+  }
+});
+
+test("ordinary evaluate and selector errors leave the page in place", () => {
+  const session = makeSession();
+  for (const message of [
+    "Protocol error (Runtime.callFunctionOn): Cannot find context with specified id",
+    "Evaluation failed: TypeError: Cannot read properties of null (reading 'click')",
+    "Waiting for selector `#gcstep5` failed: Waiting failed: 30000ms exceeded",
+    "Session not found: June 2024",
+  ]) {
+    assert.equal(
+      session.isBrowserFailure(new Error(message), makePage()),
+      false,
+      message
+    );
+  }
+});
+
+test("a closed, crashed or detached page or a disconnected browser is a failure", () => {
+  const error = new Error("Evaluation failed");
+  assert.equal(makeSession(false).isBrowserFailure(error, makePage()), true);
+
+  const session = makeSession();
+  assert.equal(
+    session.isBrowserFailure(error, makePage({ closed: true })),
+    true
+  );
+  assert.equal(
+    session.isBrowserFailure(error, makePage({ detached: true })),
+    true
+  );
+
+  const crashed = makePage();
+  session.crashedPages.add(crashed);
+  assert.equal(session.isBrowserFailure(error, crashed), true);
+});
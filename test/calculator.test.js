@@ -0,0 +1,215 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { summariseData } = require("../modules/dataProcessor");
+const { lookupEntries, aggregate } = require("../modules/calculator");
+
+/**
+ * Build a unit result as lookupEntries returns it
+ * @param {string} unitCode - Unit code (e.g. WPH11-01)
+ * @param {string} family - Subject family
+ * @param {number} ums - UMS achieved out of 100
+ * @returns {Object} - Unit result
+ */
+function result(unitCode, family, ums) {
+  return {
+    unitCode,
+    baseCode: unitCode.split("-")[0],
+    session: "June 2024",
+    family,
+    raw: ums,
+    ums,
+    maxUms: 100,
+    grade: "",
+  };
+}
+
+test("entries are looked up by unit code and session and grouped by subject family", () => {
+  const { dataRows, summary } = summariseData([
+    { RAW: 2, UMS: 100, GRADE: "A" },
+    { RAW: 1, UMS: 50, GRADE: "C" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ]);
+  const units = [
+    {
+      session: "June 2024",
+      subject: "Physics (2018)",
+      unitCode: "WPH11-01",
+      rows: dataRows,
+      summary,
+    },
+  ];
+
+  assert.deepEqual(
+    lookupEntries(units, [{ unit: "wph11", session: "June 2024", raw: "1" }]),
+    [
+      {
+        unitCode: "WPH11-01",
+        baseCode: "WPH11",
+        session: "June 2024",
+        family: "Physics",
+        raw: 1,
+        ums: 50,
+        maxUms: 100,
+        grade: "C",
+      },
+    ]
+  );
+});
+
+test("IAS and IAL totals count each unit's best attempt, with A* from the A2 units", () => {
+  const [physics] = aggregate([
+    result("WPH11-01", "Physics", 70),
+    result("WPH11-01", "Physics", 90),
+    result("WPH12-01", "Physics", 85),
+    result("WPH13-01", "Physics", 80),
+    result("WPH14-01", "Physics", 95),
+    result("WPH15-01", "Physics", 92),
+    result("WPH16-01", "Physics", 91),
+  ]);
+
+  assert.equal(physics.name, "Physics");
+  assert.deepEqual(
+    [physics.ias.ums, physics.ias.maxUms, physics.ias.percent],
+    [255, 300, 85]
+  );
+  assert.equal(physics.ias.grade, "A");
+  assert.deepEqual(
+    [physics.ial.ums, physics.ial.percent, physics.ial.a2Percent],
+    [533, 88.8, 92.7]
+  );
+  assert.equal(physics.ial.grade, "A*");
+});
+
+test("an overall A without 90% on the A2 units stays an A", () => {
+  const [physics] = aggregate(
+    ["WPH11", "WPH12", "WPH13", "WPH14", "WPH15", "WPH16"].map((code) =>
+      result(`${code}-01`, "Physics", 85)
+    )
+  );
+  assert.equal(physics.ial.grade, "A");
+});
+
+test("optional units are chosen by UMS and missing units are listed", () => {
+  const qualifications = aggregate([
+    result("WMA11-01", "Mathematics", 60),
+    result("WMA12-01", "Mathematics", 70),
+    result("WME01-01", "Mathematics", 50),
+    result("WST01-01", "Mathematics", 80),
+  ]);
+
+  // Further Mathematics is left out: none of its required units was entered
+  assert.deepEqual(
+    qualifications.map((qualification) => qualification.name),
+    ["Mathematics", "Pure Mathematics"]
+  );
+
+  const [maths, pure] = qualifications;
+  assert.deepEqual(maths.ias.units, ["WMA11-01", "WMA12-01", "WST01-01"]);
+  assert.equal(maths.ias.percent, 70);
+  assert.equal(maths.ias.grade, "B");
+  assert.deepEqual(maths.ial.missing, ["WMA13", "WMA14"]);
+  assert.equal(maths.ial.grade, null);
+
+  assert.deepEqual(pure.ias.missing, ["WFM01"]);
+  assert.equal(pure.ias.grade, null);
+});
+
+test("A* is decided by the A2 units, not by the optional units the IAS left over", () => {
+  // UMS each raw mark converts to in June 2024
+  const tables = {
+    WMA11: { 70: 99 },
+    WMA12: { 70: 99 },
+    WMA13: { 70: 96 },
+    WMA14: { 70: 97 },
+    WME01: { 60: 75 },
+    WST01: { 70: 98 },
+  };
+  const units = Object.entries(tables).map(([code, conversions]) => {
+    const { dataRows, summary } = summariseData([
+      { RAW: 75, UMS: 100, GRADE: "A" },
+      ...Object.entries(conversions).map(([raw, ums]) => ({
+        RAW: Number(raw),
+        UMS: ums,
+        GRADE: "A",
+      })),
+      { RAW: 0, UMS: 0, GRADE: "U" },
+    ]);
+    return {
+      session: "June 2024",
+      subject: "Mathematics",
+      unitCode: `${code}-01`,
+      rows: dataRows,
+      summary,
+    };
+  });
+  const entries = [
+    "WMA11,June 2024,70",
+    "WMA12,June 2024,70",
+    "WMA13,June 2024,70",
+    "WMA14,June 2024,70",
+    "WME01,June 2024,60",
+    "WST01,June 2024,70",
+  ].map((text) => {
+    const [unit, session, raw] = text.split(",");
+    return { unit, session, raw };
+  });
+
+  const [maths] = aggregate(lookupEntries(units, entries));
+  assert.equal(maths.name, "Mathematics");
+  assert.deepEqual([maths.ial.ums, maths.ial.percent], [564, 94]);
+  // P3 and P4: 193/200, where WMA13, WMA14 and WME01 would only make 89.3%
+  assert.equal(maths.ial.a2Percent, 96.5);
+  assert.equal(maths.ial.grade, "A*");
+});
+
+test("an optional unit counts towards Mathematics or Further Mathematics, not both", () => {
+  const [maths, further] = aggregate([
+    ...["WMA11", "WMA12", "WMA13", "WMA14"].map((code) =>
+      result(`${code}-01`, "Mathematics", 80)
+    ),
+    ...["WFM01", "WFM02", "WFM03"].map((code) =>
+      result(`${code}-01`, "Mathematics", 80)
+    ),
+    result("WME01-01", "Mathematics", 95),
+    result("WST01-01", "Mathematics", 90),
+    result("WME02-01", "Mathematics", 85),
+    result("WST02-01", "Mathematics", 70),
+  ]);
+
+  assert.deepEqual(maths.ial.units.slice(4), ["WME01-01", "WST01-01"]);
+  assert.equal(further.name, "Further Mathematics");
+  // WME01 is left to Mathematics, so Further Mathematics has only two applied units
+  assert.deepEqual(further.ias.units, ["WFM01-01", "WME02-01", "WFM02-01"]);
+  assert.deepEqual(further.ial.units, [
+    "WFM01-01",
+    "WME02-01",
+    "WFM02-01",
+    "WFM03-01",
+    "WST02-01",
+  ]);
+  assert.deepEqual(further.ial.missing, [
+    "1 more of WFM02/WFM03/WME01/WME02/WME03/WST01/WST02/WST03/WDM11",
+  ]);
+});
+
+test("rules can change the thresholds and the units counted", () => {
+  const rules = {
+    thresholds: { Pass: 50 },
+    astarA2Percent: 90,
+    subjects: {
+      Physics: [
+        {
+          name: "Physics (practical)",
+          ias: { required: ["WPH13"] },
+          ial: { required: ["WPH13", "WPH16"] },
+        },
+      ],
+    },
+  };
+  const [practical] = aggregate(
+    [result("WPH13-01", "Physics", 55), result("WPH16-01", "Physics", 40)],
+    rules
+  );
+  assert.equal(practical.ias.grade, "Pass");
+  assert.equal(practical.ial.grade, "U");
+});
@@ -0,0 +1,163 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_CONFIG,
+  parseArgs,
+  loadConfig,
+  createFilter,
+  createFilters,
+} = require("../modules/config");
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-config-"));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a config file into the temporary directory
+ * @param {string} name - File name
+ * @param {Object} options - Config values to write
+ * @returns {string} - Path to the file
+ */
+async function writeConfig(name, options) {
+  const filePath = path.join(tmpDir, name);
+  await fs.writeFile(filePath, JSON.stringify(options));
+  return filePath;
+}
+
+test("flags are mapped to config keys", () => {
+  assert.deepEqual(
+    parseArgs([
+      "--subjects",
+      "Physics, Chemistry",
+      "--from",
+      "2019",
+      "--concurrency",
+      "3",
+      "--wait-timeout",
+      "5000",
+      "--refresh",
+      "--test",
+      "June 2024",
+      "Physics",
+      "WPH11",
+    ]),
+    {
+      subjects: ["Physics", "Chemistry"],
+      fromYear: 2019,
+      concurrency: "3",
+      waits: { timeout: "5000" },
+      refresh: true,
+    }
+  );
+});
+
+test("unknown flags, missing values and stray arguments are rejected", () => {
+  assert.throws(() => parseArgs(["--subject", "Physics"]), {
+    message: "Unknown option --subject",
+  });
+  assert.throws(() => parseArgs(["--from"]), {
+    message: "--from expects a value",
+  });
+  assert.throws(() => parseArgs(["--subjects", "--refresh"]), {
+    message: "--subjects expects a value",
+  });
+  assert.throws(() => parseArgs(["Physics"]), {
+    message: "Unexpected argument Physics",
+  });
+  // A value given twice leaves the second one without a flag
+  assert.throws(() => parseArgs(["--units", "WPH11", "WPH12"]), {
+    message: "Unexpected argument WPH12",
+  });
+});
+
+test("the command line overrides the config file, which overrides the defaults", async () => {
+  const configFile = await writeConfig("layered.json", {
+    subjects: ["Physics"],
+    concurrency: 2,
+    retries: 4,
+    waits: { timeout: 10000 },
+  });
+
+  const config = await loadConfig([
+    "--config",
+    configFile,
+    "--concurrency",
+    "3",
+    "--settle-time",
+    "100",
+  ]);
+
+  assert.deepEqual(config.subjects, ["Physics"]);
+  assert.equal(config.concurrency, 3);
+  assert.equal(config.retries, 4);
+  assert.equal(config.rateLimit, DEFAULT_CONFIG.rateLimit);
+  assert.deepEqual(config.waits, {
+    timeout: 10000,
+    pollInterval: DEFAULT_CONFIG.waits.pollInterval,
+    settleTime: 100,
+  });
+});
+
+test("config file keys are checked like the flags", async () => {
+  const cases = [
+    [{ subject: ["Physics"] }, /Unknown option subject in config file/],
+    [{ subjects: "Physics" }, /subjects in config file .* list of strings/],
+    [{ excludeUnits: ["WPH11", 12] }, /excludeUnits .* list of strings/],
+    [{ refresh: "yes" }, /refresh in config file .* true or false/],
+    [{ outputDir: 5 }, /outputDir in config file .* must be a string/],
+    [{ waits: { timout: 100 } }, /Unknown option waits\.timout/],
+    [{ concurrency: 0 }, /concurrency must be a whole number of at least 1/],
+  ];
+
+  for (const [index, [options, message]] of cases.entries()) {
+    const configFile = await writeConfig(`bad-${index}.json`, options);
+    await assert.rejects(loadConfig(["--config", configFile]), message);
+  }
+
+  // The site profile may be a file path or the profile's values
+  const inline = await writeConfig("inline-profile.json", {
+    siteProfile: { name: "Mirror site" },
+  });
+  const config = await loadConfig(["--config", inline]);
+  assert.deepEqual(config.siteProfile, { name: "Mirror site" });
+});
+
+test("an invalid regular expression names the option it came from", async () => {
+  assert.throws(
+    () => createFilters({ ...DEFAULT_CONFIG, excludeUnits: ["/WPH(1/"] }),
+    /^Error: Invalid pattern \/WPH\(1\/ in excludeUnits: /
+  );
+
+  await assert.rejects(loadConfig(["--sessions", "/June [/"]), {
+    message: /^Invalid pattern \/June \[\/ in sessions: /,
+  });
+});
+
+test("filters match regular expressions, globs and substrings", () => {
+  const filter = createFilter(["/^WPH1[12]/", "WMA1*", "chem"], ["*/01R"]);
+
+  assert.ok(filter("WPH11/01 - Mechanics"));
+  assert.ok(filter("WMA13/01 - Pure Mathematics 3"));
+  assert.ok(filter("Chemistry"));
+  assert.equal(filter("WPH13/01 - Practical"), false);
+  assert.equal(filter("WPH11/01R"), false);
+
+  const { session } = createFilters({
+    ...DEFAULT_CONFIG,
+    excludeSessions: ["January"],
+    fromYear: 2020,
+    toYear: 2022,
+  });
+  assert.ok(session("June 2021"));
+  assert.equal(session("January 2021"), false);
+  assert.equal(session("June 2019"), false);
+});
@@ -0,0 +1,282 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  tabSectionName,
+  extractRowsFromPayload,
+  extractFromResponses,
+  isMaxMarkRow,
+  normaliseGrade,
+  summariseData,
+  saveData,
+  configureStorage,
+} = require("../modules/dataProcessor");
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-save-"));
+  configureStorage(tmpDir);
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("Max Mark sentinel rows are recognised however they are written", () => {
+  for (const grade of ["Max Mark", "max mark", "Max. Mark", "Maximum Mark"]) {
+    assert.equal(isMaxMarkRow({ RAW: 80, UMS: 100, GRADE: grade }), true);
+  }
+  assert.equal(isMaxMarkRow({ RAW: 80, UMS: 100, GRADE: "A" }), false);
+});
+
+test("summariseData separates Max Mark rows and takes the maximum from them", () => {
+  const rows = [
+    { RAW: 80, UMS: 100, GRADE: "Max Mark" },
+    { RAW: 70, UMS: 90, GRADE: "A" },
+    { RAW: 60, UMS: 80, GRADE: "A" },
+    { RAW: 50, UMS: 70, GRADE: "B" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ];
+  const { dataRows, maxMarkRows, summary } = summariseData(rows);
+
+  assert.deepEqual(maxMarkRows, [rows[0]]);
+  assert.deepEqual(dataRows, rows.slice(1));
+  assert.equal(summary.maxRaw, 80);
+  assert.equal(summary.maxUms, 100);
+});
+
+test("summariseData falls back to the data rows for the maximum", () => {
+  const { maxMarkRows, summary } = summariseData([
+    { RAW: 70, UMS: 90, GRADE: "A" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ]);
+  assert.deepEqual(maxMarkRows, []);
+  assert.equal(summary.maxRaw, 70);
+  assert.equal(summary.maxUms, 90);
+
+  const empty = summariseData([]);
+  assert.equal(empty.summary.maxRaw, null);
+  assert.deepEqual(empty.summary.grades, {});
+});
+
+test("grade boundaries are the lowest marks of each grade, highest grade first", () => {
+  const { summary } = summariseData([
+    { RAW: 75, UMS: 100, GRADE: "*" },
+    { RAW: 72, UMS: 90, GRADE: "*" },
+    { RAW: 71, UMS: 89, GRADE: "A" },
+    { RAW: 60, UMS: 80, GRADE: "A" },
+    { RAW: 59, UMS: 79, GRADE: "B" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ]);
+
+  assert.deepEqual(Object.keys(summary.grades), ["A*", "A", "B", "U"]);
+  assert.deepEqual(summary.grades["A*"], { minRaw: 72, minUms: 90 });
+  assert.deepEqual(summary.grades.A, { minRaw: 60, minUms: 80 });
+  assert.deepEqual(summary.grades.U, { minRaw: 0, minUms: 0 });
+});
+
+test("grades normalise to upper case with A* spelled out", () => {
+  assert.equal(normaliseGrade("*"), "A*");
+  assert.equal(normaliseGrade(" a* "), "A*");
+  assert.equal(normaliseGrade("b"), "B");
+  assert.equal(normaliseGrade(9), "9");
+});
+
+test("tab labels map to the unit file's section names", () => {
+  const cases = {
+    "Grade boundaries": "gradeBoundaries",
+    " Boundaries ": "gradeBoundaries",
+    "All scores": "allScores",
+    "ALL SCORES": "allScores",
+    All: "allScores",
+    Points: "points",
+    "Raw to UMS": "points",
+    "Raw mark conversion": "rawMarkConversion",
+    "Notes (2024)": "notes2024",
+  };
+  for (const [label, name] of Object.entries(cases)) {
+    assert.equal(tabSectionName(label), name, label);
+  }
+  // A label without letters or digits has no name; the scraper numbers the tab instead
+  assert.equal(tabSectionName(" - "), "");
+});
+
+test("conversion rows are found however deep the payload nests them", () => {
+  const payload = {
+    unit: { code: "WPH11", title: "Mechanics" },
+    conversion: {
+      // A short boundaries list sits next to the full table; the longer one wins
+      boundaries: [
+        { raw: 60, ums: 80, grade: "A" },
+        { raw: 40, ums: 60, grade: "C" },
+        { raw: 0, ums: 0, grade: "U" },
+      ],
+      tables: [
+        {
+          rows: [
+            { rawMark: "2", umsMark: "100", grade: " A " },
+            { rawMark: "1", umsMark: "50", grade: "C" },
+            { rawMark: "0", umsMark: "0", grade: "U" },
+            { rawMark: "0", umsMark: "0", grade: "U" },
+          ],
+        },
+      ],
+    },
+  };
+
+  assert.deepEqual(extractRowsFromPayload(payload), [
+    { RAW: 2, UMS: 100, GRADE: "A" },
+    { RAW: 1, UMS: 50, GRADE: "C" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ]);
+});
+
+test("alternate key names and [raw, ums, grade] arrays are read as rows", () => {
+  const expected = [
+    { RAW: 2, UMS: 100, GRADE: "A" },
+    { RAW: 1, UMS: 50, GRADE: "C" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ];
+
+  assert.deepEqual(
+    extractRowsFromPayload([
+      { Raw_Score: 2, Uniform_Mark: 100, Grade_Name: "A" },
+      { raw_score: 1, uniform_mark: 50, grade_name: "C" },
+      { RAWSCORE: 0, UNIFORMMARK: 0, GRADENAME: "U" },
+    ]),
+    expected
+  );
+  assert.deepEqual(
+    extractRowsFromPayload({
+      results: [
+        { mark: 2, points: 100, gradeName: "A" },
+        { mark: 1, points: 50, gradeName: "C" },
+        { mark: 0, points: 0, gradeName: "U" },
+      ],
+    }),
+    expected
+  );
+  assert.deepEqual(
+    extractRowsFromPayload({
+      table: [
+        [2, 100, "A"],
+        ["1", "50", "C"],
+        [0, 0, "U"],
+      ],
+    }),
+    expected
+  );
+});
+
+test("arrays that are not conversion rows are ignored", () => {
+  // Numbers without grades, lists of names, rows with a missing or numeric grade,
+  // and tables too short to be a conversion table
+  assert.equal(
+    extractRowsFromPayload({
+      sessions: ["June 2024", "January 2024", "October 2023"],
+      chart: [
+        [0, 0, 0],
+        [1, 50, 2],
+        [2, 100, 4],
+      ],
+      partial: [
+        { raw: 2, ums: 100, grade: "A" },
+        { raw: 1, ums: 50 },
+        { raw: 0, ums: 0, grade: "U" },
+      ],
+      numericGrades: [
+        { raw: 2, ums: 100, grade: 1 },
+        { raw: 1, ums: 50, grade: 3 },
+        { raw: 0, ums: 0, grade: 6 },
+      ],
+      short: [
+        { raw: 1, ums: 50, grade: "C" },
+        { raw: 0, ums: 0, grade: "U" },
+      ],
+    }),
+    null
+  );
+  assert.equal(extractRowsFromPayload("<html></html>"), null);
+  assert.equal(extractRowsFromPayload(null), null);
+});
+
+test("the network data comes from the successful response with the largest table", () => {
+  const rows = (count) =>
+    Array.from({ length: count }, (_, raw) => ({
+      raw,
+      ums: raw * 10,
+      grade: "U",
+    }));
+  const responses = [
+    { url: "https://site/api/sessions", status: 200, body: ["June 2024"] },
+    { url: "https://site/api/boundaries", status: 200, body: rows(3) },
+    { url: "https://site/api/all-scores", status: 200, body: rows(5) },
+    // A failed request's body is not data, however large
+    { url: "https://site/api/error", status: 500, body: rows(9) },
+    { url: "https://site/page.html", status: 200, body: "<html></html>" },
+  ];
+
+  const extracted = extractFromResponses(responses);
+  assert.equal(extracted.source, "network");
+  assert.equal(extracted.url, "https://site/api/all-scores");
+  assert.equal(extracted.rows.length, 5);
+
+  assert.equal(extractFromResponses(responses.slice(0, 1)), null);
+  assert.equal(extractFromResponses([]), null);
+});
+
+test("saveData only rewrites a unit whose conversion content changed", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const metadata = {
+    qualificationType: "International A Level",
+    session: "June 2024",
+    subject: "Physics",
+    unit: "WPH11/01 - Mechanics",
+  };
+  const rows = [
+    { RAW: 2, UMS: 100, GRADE: "A" },
+    { RAW: 1, UMS: 50, GRADE: "C" },
+    { RAW: 0, UMS: 0, GRADE: "U" },
+  ];
+
+  const first = await saveData(rows, metadata);
+  assert.equal(first.status, "new");
+  const stored = await fs.readFile(first.filepath, "utf8");
+
+  // Row order and repeated rows do not count as changes
+  const reordered = [...rows].reverse();
+  const second = await saveData([...reordered, rows[0]], metadata);
+  assert.equal(second.status, "unchanged");
+  assert.equal(await fs.readFile(first.filepath, "utf8"), stored);
+
+  const changed = [rows[0], { RAW: 1, UMS: 40, GRADE: "D" }, rows[2]];
+  assert.equal((await saveData(changed, metadata)).status, "changed");
+  assert.deepEqual(
+    JSON.parse(await fs.readFile(first.filepath, "utf8")).data,
+    changed
+  );
+
+  const changelog = (
+    await fs.readFile(path.join(tmpDir, "data", "changelog.jsonl"), "utf8")
+  )
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(changelog.length, 1);
+  const [entry] = changelog;
+  assert.equal(entry.changedRows, 1);
+  assert.equal(entry.previousHash, JSON.parse(stored).metadata.contentHash);
+  // The previous version is kept as a snapshot named by its content hash
+  const previous = JSON.parse(
+    await fs.readFile(path.join(tmpDir, entry.previousSnapshot), "utf8")
+  );
+  assert.deepEqual(previous.data, rows);
+  assert.equal(
+    path.basename(entry.previousSnapshot),
+    `${entry.previousHash}.json`
+  );
+});
@@ -0,0 +1,149 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { exportSqlite, exportCsv } = require("../modules/exporter");
+const {
+  parseSession,
+  compareSessions,
+  loadUnits,
+} = require("../modules/dataStore");
+
+let tmpDir;
+let units;
+
+/**
+ * Write a unit file below a source directory
+ * @param {string} sourceDir - Source directory
+ * @param {Array} parts - Qualification, session and subject directory names and file name
+ * @param {Object} contents - Unit file contents
+ */
+async function writeUnit(sourceDir, parts, contents) {
+  const filePath = path.join(sourceDir, ...parts);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(contents), "utf8");
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-export-"));
+  const sourceDir = path.join(tmpDir, "data");
+
+  await writeUnit(
+    sourceDir,
+    [
+      "International_A_Level",
+      "October_2023",
+      "Physics",
+      "WPH11-01_-_Mechanics.json",
+    ],
+    {
+      metadata: {
+        unit: "WPH11/01 - Mechanics",
+        timestamp: "2023-12-01T00:00:00.000Z",
+      },
+      data: [
+        { RAW: 80, UMS: 100, GRADE: "Max Mark" },
+        { RAW: 1, UMS: 2, GRADE: "U" },
+        { RAW: 0, UMS: 0, GRADE: "U" },
+        { RAW: 1, UMS: 2, GRADE: "U" },
+      ],
+    }
+  );
+  await writeUnit(
+    sourceDir,
+    ["International_A_Level", "January_2024", "Physics, Practical", "X.json"],
+    { metadata: { unit: 'Unit "X"' }, data: [{ RAW: 0, UMS: 0, GRADE: "U" }] }
+  );
+  await fs.writeFile(
+    path.join(
+      sourceDir,
+      "International_A_Level",
+      "January_2024",
+      "Physics, Practical",
+      "broken.json"
+    ),
+    "{",
+    "utf8"
+  );
+
+  units = await loadUnits(sourceDir);
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("sessions are split into month and year and ordered by date", () => {
+  assert.deepEqual(parseSession("October 2023"), {
+    month: "October",
+    monthIndex: 9,
+    year: 2023,
+  });
+  assert.deepEqual(parseSession("Specimen"), {
+    month: null,
+    monthIndex: null,
+    year: null,
+  });
+  assert.deepEqual(
+    ["June 2024", "October 2023", "January 2024"].sort(compareSessions),
+    ["October 2023", "January 2024", "June 2024"]
+  );
+});
+
+test("loadUnits reads names from the directories and skips unreadable files", () => {
+  assert.equal(units.length, 2);
+  const mechanics = units.find((unit) => unit.unitCode === "WPH11-01");
+  assert.equal(mechanics.session, "October 2023");
+  assert.equal(mechanics.unit, "WPH11/01 - Mechanics");
+  // Repeated rows are dropped and the Max Mark row is kept apart
+  assert.deepEqual(
+    mechanics.rows.map((row) => row.RAW),
+    [1, 0]
+  );
+  assert.deepEqual(mechanics.maxMark, {
+    RAW: 80,
+    UMS: 100,
+    GRADE: "Max Mark",
+  });
+});
+
+test("the CSV has one row per raw mark and quotes fields when needed", async () => {
+  const filePath = path.join(tmpDir, "export.csv");
+  assert.equal(await exportCsv(units, filePath), 3);
+
+  const lines = (await fs.readFile(filePath, "utf8")).trimEnd().split("\n");
+  assert.deepEqual(lines, [
+    "session,subject,unit_code,RAW,UMS,GRADE",
+    'January 2024,"Physics, Practical",X,0,0,U',
+    "October 2023,Physics,WPH11-01,0,0,U",
+    "October 2023,Physics,WPH11-01,1,2,U",
+  ]);
+});
+
+test("the SQLite database links units to their session, subject and rows", async () => {
+  const filePath = path.join(tmpDir, "export.sqlite");
+  assert.equal(await exportSqlite(units, filePath), 3);
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(await fs.readFile(filePath));
+  try {
+    const [result] = db.exec(`
+      SELECT sessions.name, sessions.year, units.code, units.max_raw, COUNT(*)
+      FROM units
+      JOIN sessions ON sessions.id = units.session_id
+      JOIN conversion_rows ON conversion_rows.unit_id = units.id
+      GROUP BY units.id
+      ORDER BY units.code
+    `);
+    assert.deepEqual(result.values, [
+      ["October 2023", 2023, "WPH11-01", 80, 2],
+      ["January 2024", 2024, "X", 0, 1],
+    ]);
+    const [qualifications] = db.exec("SELECT COUNT(*) FROM qualifications");
+    assert.deepEqual(qualifications.values, [[1]]);
+  } finally {
+    db.close();
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * Stand-in for the grade conversion wizard, loaded by the fixture page
+ * Each step's options come from the mock server's JSON API, like the real site,
+ * and the conversion view (#gcstep5) is only added once a unit is picked
+ */
+(function () {
+  const steps = ["qualification", "session", "subject", "unit"];
+  const selection = {};
+
+  /**
+   * Fetch JSON from the mock API
+   * @param {string} endpoint - Endpoint below /api/
+   * @param {Object} params - Query parameters
+   * @returns {Promise<*>} - Parsed response
+   */
+  function api(endpoint, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return fetch(`/api/${endpoint}${query ? `?${query}` : ""}`).then(
+      (response) => {
+        if (!response.ok) throw new Error(`${endpoint}: ${response.status}`);
+        return response.json();
+      }
+    );
+  }
+
+  /**
+   * Empty the steps after a given one and remove the conversion view
+   * @param {number} index - Position of the step that changed
+   */
+  function resetAfter(index) {
+    for (let i = index + 1; i < steps.length; i++) {
+      document.querySelector(`#gcstep${i + 1} .step-option-list`).innerHTML =
+        "";
+      delete selection[steps[i]];
+    }
+    const view = document.getElementById("gcstep5");
+    if (view) view.remove();
+  }
+
+  /**
+   * Fill a step with links
+   * @param {number} index - Position of the step
+   * @param {Array} options - Option labels
+   */
+  function renderStep(index, options) {
+    const list = document.querySelector(
+      `#gcstep${index + 1} .step-option-list`
+    );
+    list.innerHTML = "";
+    for (const option of options) {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = option;
+      link.addEventListener("click", (event) => {
+        event.preventDefault();
+        choose(index, option);
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Build one row of a conversion table
+   * @param {Array} cells - Column texts
+   * @returns {HTMLElement} - Row element
+   */
+  function gradeRow(cells) {
+    const row = document.createElement("div");
+    row.className = "gradeRow";
+    for (const cell of cells) {
+      const column = document.createElement("div");
+      column.className = "gradeColumn";
+      column.textContent = cell;
+      row.appendChild(column);
+    }
+    return row;
+  }
+
+  /**
+   * Show the conversion view for a unit: a boundaries tab and an all scores tab
+   * The boundaries tab repeats the lowest row of each grade, as on the real site
+   * @param {Object} conversion - Unit fixture with its rows
+   */
+  function renderConversion(conversion) {
+    const rows = conversion.rows.map((row) => [
+      String(row.raw),
+      String(row.ums),
+      row.grade,
+    ]);
+    const lowest = {};
+    for (const row of rows) {
+      if (row[2] === "Max Mark") continue;
+      if (!lowest[row[2]] || Number(row[0]) < Number(lowest[row[2]][0])) {
+        lowest[row[2]] = row;
+      }
+    }
+    const tabs = [
+      { label: "Grade boundaries", rows: Object.values(lowest) },
+      { label: "All scores", rows },
+    ];
+
+    const view = document.createElement("div");
+    view.id = "gcstep5";
+    view.className = "step";
+    const nav = document.createElement("ul");
+    nav.className = "nav nav-tabs";
+    const content = document.createElement("div");
+    content.className = "tab-content";
+
+    tabs.forEach((tab, index) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = tab.label;
+      link.setAttribute("ng-click", `showTab(${index})`);
+      link.addEventListener("click", (event) => {
+        event.preventDefault();
+        content.querySelectorAll(".tab-pane").forEach((pane, paneIndex) => {
+          pane.classList.toggle("active", paneIndex === index);
+        });
+      });
+      item.appendChild(link);
+      nav.appendChild(item);
+
+      const pane = document.createElement("div");
+      pane.className = index === 0 ? "tab-pane active" : "tab-pane";
+      tab.rows.forEach((row) => pane.appendChild(gradeRow(row)));
+      content.appendChild(pane);
+    });
+
+    view.appendChild(nav);
+    view.appendChild(content);
+    document.body.appendChild(view);
+  }
+
+  /**
+   * Select an option and load the next step
+   * @param {number} index - Position of the step
+   * @param {string} option - Option label
+   */
+  function choose(index, option) {
+    resetAfter(index);
+    selection[steps[index]] = option;
+
+    if (index === steps.length - 1) {
+      api("conversion", selection).then(renderConversion);
+      return;
+    }
+    api(`${steps[index + 1]}s`, selection).then((options) =>
+      renderStep(index + 1, options)
+    );
+  }
+
+  document
+    .getElementById("onetrust-reject-all-handler")
+    .addEventListener("click", () => {
+      document.getElementById("onetrust-banner-sdk").style.display = "none";
+    });
+
+  // The QualFamily parameter preselects step 1, as on the real site
+  api("qualifications").then((qualifications) => {
+    renderStep(0, qualifications);
+    const family = new URLSearchParams(window.location.search).get(
+      "QualFamily"
+    );
+    if (qualifications.includes(family)) choose(0, family);
+  });
+})();
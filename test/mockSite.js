@@ -0,0 +1,141 @@
+const http = require("http");
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Local stand-in for the Pearson grade conversion wizard
+ * Serves the fixture page and answers its JSON requests from test/fixtures,
+ * so the scraper can run end to end without network access
+ */
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const SITE_DIR = path.join(FIXTURES_DIR, "site");
+const UNITS_DIR = path.join(FIXTURES_DIR, "units");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+};
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - Status code
+ * @param {*} body - Value to send
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": CONTENT_TYPES[".json"] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer a request of the wizard's JSON API from the catalogue
+ * Each step lists the options below the ones already selected
+ * @param {Object} catalogue - Qualification > session > subject > unit > fixture file
+ * @param {string} endpoint - Endpoint name (qualifications, sessions, subjects, units, conversion)
+ * @param {URLSearchParams} params - Selected options
+ * @param {Array} failUnits - Units whose conversion request answers with a server error
+ * @returns {Object} - { status, body }
+ */
+async function answerApi(catalogue, endpoint, params, failUnits = []) {
+  const sessions = catalogue[params.get("qualification")];
+  const subjects = sessions && sessions[params.get("session")];
+  const units = subjects && subjects[params.get("subject")];
+
+  const listings = {
+    qualifications: catalogue,
+    sessions,
+    subjects,
+    units,
+  };
+  if (endpoint in listings) {
+    return listings[endpoint]
+      ? { status: 200, body: Object.keys(listings[endpoint]) }
+      : { status: 404, body: { error: `No ${endpoint} for this selection` } };
+  }
+
+  if (endpoint === "conversion") {
+    const file = units && units[params.get("unit")];
+    if (!file) {
+      return { status: 404, body: { error: "Unknown unit" } };
+    }
+    if (failUnits.includes(params.get("unit"))) {
+      return { status: 500, body: { error: "Conversion unavailable" } };
+    }
+    return {
+      status: 200,
+      body: JSON.parse(await fs.readFile(path.join(UNITS_DIR, file), "utf8")),
+    };
+  }
+
+  return { status: 404, body: { error: `Unknown endpoint ${endpoint}` } };
+}
+
+/**
+ * Start the mock site
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 for any free port)
+ * @param {number} options.delay - Milliseconds to hold each API response, like a slow site
+ * @param {Array} options.failUnits - Units the site fails to show, to exercise failure handling
+ * @returns {Promise<Object>} - { url, server, close } where url is the wizard page
+ */
+async function startMockSite({ port = 0, delay = 50, failUnits = [] } = {}) {
+  const catalogue = JSON.parse(
+    await fs.readFile(path.join(FIXTURES_DIR, "catalogue.json"), "utf8")
+  );
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (url.pathname.startsWith("/api/")) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        const { status, body } = await answerApi(
+          catalogue,
+          url.pathname.slice("/api/".length),
+          url.searchParams,
+          failUnits
+        );
+        sendJson(res, status, body);
+        return;
+      }
+
+      // Any page path serves the wizard, so the base URL's path does not matter
+      const name =
+        path.extname(url.pathname) === ".js"
+          ? path.basename(url.pathname)
+          : "index.html";
+      const contents = await fs.readFile(path.join(SITE_DIR, name));
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(name)] });
+      res.end(contents);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        sendJson(res, 404, { error: "Not found" });
+      } else {
+        sendJson(res, 500, { error: error.message });
+      }
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const { port: actualPort } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${actualPort}/converting-marks-points-and-grades.html`,
+    server,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Run on its own to scrape the fixtures by hand: node test/mockSite.js [port]
+if (require.main === module) {
+  startMockSite({ port: Number(process.argv[2]) || 8080 }).then(({ url }) => {
+    console.log(`Mock grade conversion wizard at ${url}`);
+    console.log(`Scrape it with: node index.js --base-url ${url}`);
+  });
+}
+
+module.exports = {
+  startMockSite,
+};
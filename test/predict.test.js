@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { predictBoundaries } = require("../modules/predict");
+
+/**
+ * Build a unit with the given raw mark boundaries
+ * @param {string} session - Session name
+ * @param {number} maxRaw - Maximum raw mark
+ * @param {Object} boundaries - Lowest raw mark of each grade
+ * @returns {Object} - Unit as loadUnits returns it
+ */
+function makeUnit(session, maxRaw, boundaries) {
+  const grades = {};
+  for (const [grade, minRaw] of Object.entries(boundaries)) {
+    grades[grade] = { minRaw, minUms: 0 };
+  }
+  return {
+    session,
+    unitCode: "WCH11-01",
+    unit: "WCH11/01 - Structure, Bonding and Introduction to Organic Chemistry",
+    summary: { maxRaw, maxUms: 100, grades },
+  };
+}
+
+const UNITS = [
+  makeUnit("June 2022", 100, { A: 60, U: 0 }),
+  makeUnit("January 2023", 100, { A: 50, U: 0 }),
+  makeUnit("June 2023", 100, { A: 64, U: 0 }),
+  makeUnit("January 2024", 100, { A: 54, U: 0 }),
+  makeUnit("June 2024", 100, { A: 62, B: 55, U: 0 }),
+];
+
+test("each model is a mean with a t-based 95% prediction interval", () => {
+  const [a] = predictBoundaries(UNITS, "WCH11", "June 2025").grades;
+
+  // June: 60, 64, 62 -> mean 62, sd 2, t(2) = 4.3, margin 4.3 * 2 * sqrt(4/3) = 9.9
+  assert.deepEqual(a.sameMonth, { estimate: 62, low: 52, high: 72 });
+  // All: mean 58, sd 5.83, t(4) = 2.78, margin 2.78 * 5.83 * sqrt(6/5) = 17.8
+  assert.deepEqual(a.allMonths, { estimate: 58, low: 40, high: 76 });
+  // The narrower interval is used
+  assert.equal(a.model, "same month");
+  assert.deepEqual(a.predicted, a.sameMonth);
+});
+
+test("a single past value has no spread and intervals stay within the paper", () => {
+  const { grades } = predictBoundaries(UNITS, "WCH11", "June 2025");
+  const b = grades.find((grade) => grade.grade === "B");
+  assert.deepEqual(b.sameMonth, { estimate: 55, low: 55, high: 55 });
+  // One session is too few for the same-month model to be chosen
+  assert.equal(b.model, "all months");
+
+  const wide = predictBoundaries(
+    [
+      makeUnit("June 2023", 100, { A: 10 }),
+      makeUnit("June 2024", 100, { A: 95 }),
+    ],
+    "WCH11",
+    "June 2025"
+  ).grades[0];
+  assert.deepEqual(wide.sameMonth, { estimate: 53, low: 0, high: 100 });
+});
+
+test("boundaries are scaled to the latest paper's maximum mark", () => {
+  const { maxRaw, grades } = predictBoundaries(
+    [
+      makeUnit("June 2023", 100, { A: 60 }),
+      makeUnit("June 2024", 50, { A: 30 }),
+    ],
+    "WCH11",
+    "June 2025"
+  );
+  assert.equal(maxRaw, 50);
+  assert.deepEqual(grades[0].predicted, { estimate: 30, low: 30, high: 30 });
+});
+
+test("a past session is predicted from earlier sessions only", () => {
+  const prediction = predictBoundaries(UNITS, "WCH11", "june 2024");
+  assert.equal(prediction.targetSession, "June 2024");
+  assert.deepEqual(prediction.sameMonth, ["June 2022", "June 2023"]);
+  assert.equal(prediction.allMonths.length, 4);
+  assert.equal(prediction.grades[0].actual, 62);
+});
+
+test("the target must be a month and year after the first session", () => {
+  assert.throws(
+    () => predictBoundaries(UNITS, "WCH11", "next summer"),
+    /must be a month and year/
+  );
+  assert.throws(
+    () => predictBoundaries(UNITS, "WCH11", "June 2022"),
+    /No sessions of WCH11 before June 2022/
+  );
+});
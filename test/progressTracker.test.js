@@ -0,0 +1,161 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const ProgressTracker = require("../modules/progressTracker");
+
+let tmpDir;
+let progressFile;
+
+/**
+ * Build progress file contents
+ * @param {Object} failed - Failed units section
+ * @returns {Object} - Progress file contents
+ */
+function progressContents(failed = {}) {
+  return {
+    completed: { IAL: { "June 2024": { Physics: ["WPH11"] } } },
+    failed,
+    completedSessions: {},
+    lastUpdate: "2024-08-01T00:00:00.000Z",
+    stats: { completedUnits: 1, failedUnits: 0 },
+  };
+}
+
+/**
+ * Load a tracker from the progress file
+ * @returns {ProgressTracker} - Initialised tracker
+ */
+async function loadTracker() {
+  const tracker = new ProgressTracker(progressFile);
+  await tracker.initialize();
+  return tracker;
+}
+
+beforeEach(async (t) => {
+  t.mock.method(console, "log", () => {});
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-progress-"));
+  progressFile = path.join(tmpDir, "data", "progress.json");
+  await fs.mkdir(path.dirname(progressFile), { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("failed unit lists from older progress files become failure records", async () => {
+  await fs.writeFile(
+    progressFile,
+    JSON.stringify(
+      progressContents({
+        IAL: { "June 2024": { Physics: ["WPH12", "WPH13"] } },
+      })
+    ),
+    "utf8"
+  );
+
+  const tracker = await loadTracker();
+  assert.deepEqual(
+    tracker.getFailedUnits().map((failure) => [failure.unit, failure.attempts]),
+    [
+      ["WPH12", 1],
+      ["WPH13", 1],
+    ]
+  );
+  assert.equal(
+    tracker.getFailure("IAL", "June 2024", "Physics", "WPH12").error,
+    null
+  );
+});
+
+test("each failed attempt is counted until the unit completes", async () => {
+  const tracker = await loadTracker();
+
+  tracker.markAsFailed("IAL", "June 2024", "Physics", "WPH12", "timeout");
+  const failure = tracker.markAsFailed(
+    "IAL",
+    "June 2024",
+    "Physics",
+    "WPH12",
+    "no rows"
+  );
+  assert.equal(failure.attempts, 2);
+  assert.equal(failure.error, "no rows");
+  assert.equal(tracker.getSummary().failedUnits, 1);
+
+  tracker.markAsCompleted("IAL", "June 2024", "Physics", "WPH12");
+  assert.equal(
+    tracker.hasFailed("IAL", "June 2024", "Physics", "WPH12"),
+    false
+  );
+  assert.deepEqual(tracker.progress.failed, {});
+  assert.equal(tracker.getSummary().failedUnits, 0);
+});
+
+test("each save keeps the previous progress file as the backup", async () => {
+  const tracker = await loadTracker();
+  tracker.markAsCompleted("IAL", "June 2024", "Physics", "WPH11");
+  await tracker.save();
+  tracker.markAsCompleted("IAL", "June 2024", "Physics", "WPH12");
+  // Saves started together are written in order
+  await Promise.all([tracker.save(), tracker.save()]);
+
+  const saved = JSON.parse(await fs.readFile(progressFile, "utf8"));
+  const backup = JSON.parse(await fs.readFile(`${progressFile}.bak`, "utf8"));
+  assert.deepEqual(saved.completed.IAL["June 2024"].Physics, [
+    "WPH11",
+    "WPH12",
+  ]);
+  assert.equal(backup.stats.completedUnits, 2);
+  assert.deepEqual((await fs.readdir(path.dirname(progressFile))).sort(), [
+    "progress.json",
+    "progress.json.bak",
+  ]);
+});
+
+test("an unreadable progress file is moved aside and the backup restored", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  await fs.writeFile(progressFile, '{"completed": {', "utf8");
+  await fs.writeFile(
+    `${progressFile}.bak`,
+    JSON.stringify(progressContents()),
+    "utf8"
+  );
+
+  const tracker = await loadTracker();
+  assert.equal(
+    tracker.isCompleted("IAL", "June 2024", "Physics", "WPH11"),
+    true
+  );
+
+  const files = await fs.readdir(path.dirname(progressFile));
+  const corrupt = files.find((file) =>
+    file.startsWith("progress.json.corrupt-")
+  );
+  assert.equal(
+    await fs.readFile(path.join(path.dirname(progressFile), corrupt), "utf8"),
+    '{"completed": {'
+  );
+  // The restored progress is written back in place
+  const restored = JSON.parse(await fs.readFile(progressFile, "utf8"));
+  assert.deepEqual(restored.completed, progressContents().completed);
+});
+
+test("without a usable backup an unreadable progress file is an error", async () => {
+  await fs.writeFile(progressFile, JSON.stringify({ completed: {} }), "utf8");
+  await assert.rejects(
+    loadTracker(),
+    /missing its completed, failed or stats sections\) and there is no usable backup/
+  );
+
+  await fs.writeFile(`${progressFile}.bak`, "not json", "utf8");
+  await assert.rejects(
+    loadTracker(),
+    /no usable backup at .*progress\.json\.bak \(/
+  );
+  // Nothing was replaced, so the file can still be repaired by hand
+  assert.deepEqual(JSON.parse(await fs.readFile(progressFile, "utf8")), {
+    completed: {},
+  });
+});
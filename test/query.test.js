@@ -0,0 +1,151 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { summariseData } = require("../modules/dataProcessor");
+const {
+  matchUnits,
+  unitHistory,
+  findUnit,
+  lookupRaw,
+  lookupUms,
+  lookupGrade,
+  runQuery,
+} = require("../modules/query");
+
+let tmpDir;
+
+/**
+ * Build a unit as loadUnits returns it
+ * @param {string} unitCode - Unit code (e.g. WPH11-01)
+ * @param {string} session - Session name
+ * @param {Array} rows - RAW/UMS/GRADE rows
+ * @returns {Object} - Unit
+ */
+function makeUnit(unitCode, session, rows) {
+  const { dataRows, summary } = summariseData(rows);
+  return {
+    qualificationType: "International A Level",
+    session,
+    subject: "Physics",
+    unit: `${unitCode} - Mechanics`,
+    unitCode,
+    rows: dataRows,
+    summary,
+  };
+}
+
+const ROWS = [
+  { RAW: 4, UMS: 100, GRADE: "A" },
+  { RAW: 3, UMS: 80, GRADE: "A" },
+  { RAW: 2, UMS: 60, GRADE: "C" },
+  { RAW: 1, UMS: 30, GRADE: "U" },
+  { RAW: 0, UMS: 0, GRADE: "U" },
+];
+
+const UNITS = [
+  makeUnit("WPH11-01", "June 2024", ROWS),
+  makeUnit("WPH11-01R", "June 2024", ROWS),
+  makeUnit("WPH11-01", "January 2024", ROWS),
+  makeUnit("WPH12-01", "June 2024", ROWS),
+];
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-query-"));
+  const filePath = path.join(
+    tmpDir,
+    "International_A_Level",
+    "June_2024",
+    "Physics",
+    "WPH11-01_-_Mechanics.json"
+  );
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ data: ROWS }), "utf8");
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("unit codes and sessions match loosely, preferring the standard paper", () => {
+  const matches = matchUnits(UNITS, "wph11/01", "june_2024");
+  assert.deepEqual(
+    matches.map((unit) => unit.unitCode),
+    ["WPH11-01"]
+  );
+  assert.equal(findUnit(UNITS, "WPH11", "June 2024").unitCode, "WPH11-01");
+
+  assert.throws(
+    () => findUnit(UNITS, "WPH1", "June 2024"),
+    /No data found for WPH1 in June 2024/
+  );
+  const papers = [UNITS[0], makeUnit("WPH11-02", "June 2024", ROWS)];
+  assert.throws(
+    () => findUnit(papers, "WPH11", "June 2024"),
+    /WPH11 matches several units in June 2024: WPH11-01, WPH11-02/
+  );
+});
+
+test("unitHistory lists one unit per session in date order", () => {
+  assert.deepEqual(
+    unitHistory(UNITS, "WPH11").map((unit) => unit.session),
+    ["January 2024", "June 2024"]
+  );
+});
+
+test("raw marks, UMS targets and grades are looked up in the table", () => {
+  const unit = UNITS[0];
+  assert.equal(lookupRaw(unit, 2).UMS, 60);
+  assert.equal(lookupUms(unit, 50).RAW, 2);
+  assert.equal(lookupGrade(unit, "a").RAW, 3);
+
+  assert.throws(() => lookupRaw(unit, 9), /not in the table .* \(0 to 4\)/);
+  assert.throws(() => lookupUms(unit, 101), /maximum 100/);
+  assert.throws(() => lookupGrade(unit, "B"), /grades: A, C, U/);
+});
+
+test("the query command needs one question and whole-number marks", async () => {
+  const source = ["--source", tmpDir];
+  for (const argv of [
+    ["WPH11"],
+    ["WPH11", "June", "2024"],
+    ["WPH11", "June", "2024", "--raw", "1", "--ums", "20"],
+  ]) {
+    await assert.rejects(runQuery([...argv, ...source]), /^Error: Usage:/);
+  }
+  await assert.rejects(
+    runQuery(["WPH11", "June 2024", "--raw", "x", ...source]),
+    /--raw must be a whole number, got "x"/
+  );
+  await assert.rejects(
+    runQuery(["WPH11", "June 2024", "--raw", ...source]),
+    /--raw expects a value/
+  );
+  await assert.rejects(
+    runQuery(["WPH11", "June 2024", "--marks", "3", ...source]),
+    /Unknown option --marks/
+  );
+});
+
+test("the query command answers from stored files, with an unquoted session", async (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  await runQuery([
+    "wph11-01",
+    "June",
+    "2024",
+    "--ums",
+    "55",
+    "--source",
+    tmpDir,
+    "--json",
+  ]);
+
+  const answer = JSON.parse(log.mock.calls.at(-1).arguments[0]);
+  assert.equal(answer.unitCode, "WPH11-01");
+  assert.equal(answer.session, "June 2024");
+  assert.deepEqual(
+    [answer.RAW, answer.UMS, answer.GRADE, answer.maxRaw],
+    [2, 60, "C", 4]
+  );
+});
@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildTrend, renderText } = require("../modules/report");
+
+/**
+ * Build a unit with the given raw mark boundaries
+ * @param {string} session - Session name
+ * @param {number} maxRaw - Maximum raw mark
+ * @param {Object} boundaries - Lowest raw mark of each grade
+ * @returns {Object} - Unit as loadUnits returns it
+ */
+function makeUnit(session, maxRaw, boundaries) {
+  const grades = {};
+  for (const [grade, minRaw] of Object.entries(boundaries)) {
+    grades[grade] = { minRaw, minUms: 0 };
+  }
+  return {
+    session,
+    unitCode: "WCH11-01",
+    unit: "WCH11/01 - Structure, Bonding and Introduction to Organic Chemistry",
+    summary: { maxRaw, maxUms: 100, grades },
+  };
+}
+
+const UNITS = [
+  makeUnit("June 2024", 80, { A: 50, B: 44, U: 0 }),
+  makeUnit("January 2023", 80, { A: 60, B: 50, U: 0 }),
+  makeUnit("October 2023", 80, { A: 56, U: 0 }),
+];
+
+test("boundaries are listed by session, oldest first, without U", () => {
+  const trend = buildTrend(UNITS, "WCH11");
+
+  assert.deepEqual(trend.grades, ["A", "B"]);
+  assert.deepEqual(
+    trend.sessions.map((entry) => [entry.session, entry.boundaries]),
+    [
+      ["January 2023", { A: 60, B: 50 }],
+      ["October 2023", { A: 56, B: null }],
+      ["June 2024", { A: 50, B: 44 }],
+    ]
+  );
+});
+
+test("statistics skip sessions without the grade and round the mean", () => {
+  const { stats } = buildTrend(UNITS, "WCH11");
+  assert.deepEqual(stats.A, { min: 50, max: 60, mean: 55.3 });
+  assert.deepEqual(stats.B, { min: 44, max: 50, mean: 47 });
+});
+
+test("only moves of at least the threshold share of the maximum are shifts", () => {
+  // 5% of 80 is 4 marks, so A's 60 -> 56 counts and nothing under 4 does
+  assert.deepEqual(buildTrend(UNITS, "WCH11").shifts, [
+    {
+      grade: "A",
+      from: "January 2023",
+      to: "October 2023",
+      before: 60,
+      after: 56,
+      change: -4,
+    },
+    {
+      grade: "A",
+      from: "October 2023",
+      to: "June 2024",
+      before: 56,
+      after: 50,
+      change: -6,
+    },
+    // B is compared with the last session that had it
+    {
+      grade: "B",
+      from: "January 2023",
+      to: "June 2024",
+      before: 50,
+      after: 44,
+      change: -6,
+    },
+  ]);
+
+  assert.deepEqual(buildTrend(UNITS, "WCH11", 10).shifts, []);
+});
+
+test("the text report marks shifts and lists them", () => {
+  const text = renderText(buildTrend(UNITS, "WCH11"));
+  assert.match(text, /^June 2024\s+80\s+50↓\s+44↓$/m);
+  assert.match(text, /^mean\s+55\.3\s+47$/m);
+  assert.match(text, /A: 56 -> 50 \(-6\) from October 2023 to June 2024/);
+});
+
+test("an unknown unit code is an error", () => {
+  assert.throws(() => buildTrend(UNITS, "WPH11"), /No data found for WPH11/);
+});
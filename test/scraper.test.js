@@ -0,0 +1,489 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const { existsSync } = require("fs");
+const os = require("os");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const { startMockSite } = require("./mockSite");
+const {
+  navigateToSession,
+  selectSubject,
+  selectUnit,
+  selectAllScoresTab,
+  configureWaits,
+} = require("../modules/navigation");
+const {
+  extractAllScoresData,
+  processData,
+} = require("../modules/dataProcessor");
+const { scrapeSeries } = require("../modules/scraper");
+const { checkSite } = require("../modules/siteCheck");
+const {
+  loadSiteProfile,
+  configureSiteProfile,
+} = require("../modules/siteProfile");
+const { DEFAULT_CONFIG } = require("../modules/config");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const QUALIFICATION = "International A Level";
+
+// The fixture site answers in milliseconds, so short waits keep the run quick
+const WAITS = { timeout: 10000, pollInterval: 25, settleTime: 150 };
+// Chromium's sandbox is unavailable in most CI containers; the fixture site is local
+const BROWSER_ARGS = ["--no-sandbox"];
+// Every test drives a real browser, so without Chrome they are skipped rather than failed
+const SKIP = existsSync(puppeteer.executablePath())
+  ? false
+  : `Chrome is not installed at ${puppeteer.executablePath()} (install it with "npx puppeteer browsers install chrome")`;
+
+let site;
+let catalogue;
+
+/**
+ * Read a unit fixture as scraper rows
+ * @param {string} file - Fixture file name
+ * @returns {Array} - RAW/UMS/GRADE rows, including the Max Mark row
+ */
+async function fixtureRows(file) {
+  const fixture = JSON.parse(
+    await fs.readFile(path.join(FIXTURES_DIR, "units", file), "utf8")
+  );
+  return fixture.rows.map((row) => ({
+    RAW: row.raw,
+    UMS: row.ums,
+    GRADE: row.grade,
+  }));
+}
+
+/**
+ * List every unit in the fixture catalogue
+ * @returns {Array} - { session, subject, unit, file } for each unit
+ */
+function fixtureUnits() {
+  const units = [];
+  for (const [session, subjects] of Object.entries(catalogue[QUALIFICATION])) {
+    for (const [subject, unitFiles] of Object.entries(subjects)) {
+      for (const [unit, file] of Object.entries(unitFiles)) {
+        units.push({ session, subject, unit, file });
+      }
+    }
+  }
+  return units;
+}
+
+before(async () => {
+  site = await startMockSite();
+  catalogue = JSON.parse(
+    await fs.readFile(path.join(FIXTURES_DIR, "catalogue.json"), "utf8")
+  );
+  configureWaits(WAITS);
+});
+
+after(async () => {
+  await site.close();
+});
+
+test(
+  "navigation helpers reach a unit and extract its All Scores table",
+  { skip: SKIP },
+  async () => {
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: BROWSER_ARGS,
+    });
+
+    try {
+      const page = await browser.newPage();
+      await page.goto(
+        `${site.url}?QualFamily=${encodeURIComponent(QUALIFICATION)}#gcstep1`
+      );
+
+      const { session, subject, unit, file } = fixtureUnits()[0];
+      await navigateToSession(page, session);
+      await selectSubject(page, subject);
+      await selectUnit(page, unit);
+
+      const selectedTab = await selectAllScoresTab(page);
+      assert.equal(selectedTab.text, "All scores");
+      assert.equal(selectedTab.verified, true);
+
+      // The hidden boundaries tab repeats rows, which processData drops again
+      const extracted = await extractAllScoresData(page);
+      assert.equal(extracted.source, "dom");
+      const expected = await fixtureRows(file);
+      assert.ok(extracted.rows.length > expected.length);
+      const byRaw = (rows) =>
+        [...rows].sort(
+          (a, b) => a.RAW - b.RAW || a.GRADE.localeCompare(b.GRADE)
+        );
+      assert.deepEqual(byRaw(processData(extracted)), byRaw(expected));
+    } finally {
+      await browser.close();
+    }
+  }
+);
+
+test(
+  "navigation follows the selector tier a site profile falls back to",
+  { skip: SKIP },
+  async () => {
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: BROWSER_ARGS,
+    });
+    configureSiteProfile(
+      await loadSiteProfile({
+        selectors: {
+          subjects: [
+            "#gcstep3 .renamed-list a",
+            "#gcstep3 .step-option-list a",
+          ],
+          units: ["#gcstep4 .renamed-list a", "#gcstep4 .step-option-list a"],
+        },
+      })
+    );
+    // Waiting on a renamed primary selector would use up the whole timeout
+    configureWaits({ ...WAITS, timeout: 3000 });
+
+    try {
+      const page = await browser.newPage();
+      await page.goto(
+        `${site.url}?QualFamily=${encodeURIComponent(QUALIFICATION)}#gcstep1`
+      );
+
+      // Two units in turn, so the second waits for its own conversion view
+      const [first, second] = fixtureUnits();
+      await navigateToSession(page, first.session);
+      await selectSubject(page, first.subject);
+      await selectUnit(page, first.unit);
+      await selectUnit(page, second.unit);
+
+      assert.equal((await selectAllScoresTab(page)).verified, true);
+      const extracted = await extractAllScoresData(page);
+      const byRaw = (rows) =>
+        [...rows].sort(
+          (a, b) => a.RAW - b.RAW || a.GRADE.localeCompare(b.GRADE)
+        );
+      assert.deepEqual(
+        byRaw(processData(extracted)),
+        byRaw(await fixtureRows(second.file))
+      );
+    } finally {
+      configureSiteProfile(await loadSiteProfile());
+      configureWaits(WAITS);
+      await browser.close();
+    }
+  }
+);
+
+test(
+  "check-site matches every primary selector on the fixture site",
+  { skip: SKIP },
+  async () => {
+    const checks = await checkSite(
+      { ...DEFAULT_CONFIG, baseUrl: site.url, browserArgs: BROWSER_ARGS },
+      QUALIFICATION
+    );
+
+    assert.deepEqual(
+      checks.map((check) => check.name),
+      [
+        "cookie banner",
+        "qualification list",
+        "session list",
+        "subject list",
+        "unit list",
+        "conversion view",
+        "tabs",
+        "All Scores tab",
+        "grade rows",
+        "grade columns",
+      ]
+    );
+    for (const check of checks) {
+      assert.equal(check.tier, 0, `${check.name} matched ${check.selector}`);
+    }
+  }
+);
+
+test(
+  "check-site reports the fallback a site profile falls back to",
+  { skip: SKIP },
+  async () => {
+    configureSiteProfile(
+      await loadSiteProfile({
+        selectors: {
+          sessions: [
+            "#gcstep2 .renamed-list a",
+            "#gcstep2 .step-option-list a",
+          ],
+        },
+      })
+    );
+    // The renamed primary selector never appears, so stop waiting for it early
+    configureWaits({ ...WAITS, timeout: 1000 });
+
+    try {
+      const checks = await checkSite(
+        { ...DEFAULT_CONFIG, baseUrl: site.url, browserArgs: BROWSER_ARGS },
+        QUALIFICATION
+      );
+      const sessions = checks.find((check) => check.name === "session list");
+      assert.equal(sessions.tier, 1);
+      assert.equal(sessions.selector, "#gcstep2 .step-option-list a");
+      // The walk carries on through the fallback to the grade table
+      assert.equal(checks[checks.length - 1].name, "grade columns");
+      assert.equal(checks[checks.length - 1].tier, 0);
+    } finally {
+      configureSiteProfile(await loadSiteProfile());
+      configureWaits(WAITS);
+    }
+  }
+);
+
+test(
+  "scrapeSeries saves every fixture unit end to end",
+  { skip: SKIP },
+  async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-test-"));
+
+    try {
+      await scrapeSeries({
+        ...DEFAULT_CONFIG,
+        qualifications: [QUALIFICATION],
+        subjects: [],
+        baseUrl: site.url,
+        outputDir,
+        browserArgs: BROWSER_ARGS,
+        rateLimit: 0,
+        retries: 0,
+        waits: WAITS,
+      });
+
+      const progress = JSON.parse(
+        await fs.readFile(path.join(outputDir, "data", "progress.json"), "utf8")
+      );
+      assert.deepEqual(progress.failed, {});
+      assert.deepEqual(
+        [...progress.completedSessions[QUALIFICATION]].sort(),
+        Object.keys(catalogue[QUALIFICATION]).sort()
+      );
+
+      for (const { session, subject, unit, file } of fixtureUnits()) {
+        assert.ok(
+          progress.completed[QUALIFICATION][session][subject].includes(unit),
+          `${unit} in ${session} is marked completed`
+        );
+
+        const saved = JSON.parse(
+          await fs.readFile(
+            path.join(
+              outputDir,
+              "data",
+              QUALIFICATION.replace(/\s+/g, "_"),
+              session.replace(/\s+/g, "_"),
+              subject.replace(/\s+/g, "_"),
+              `${unit.replace(/\//g, "-").replace(/\s+/g, "_")}.json`
+            ),
+            "utf8"
+          )
+        );
+        const expected = await fixtureRows(file);
+        const maxMark = expected.find((row) => row.GRADE === "Max Mark");
+        assert.equal(saved.metadata.source, "network");
+        assert.deepEqual(saved.maxMark, maxMark);
+        assert.deepEqual(
+          saved.data,
+          processData({
+            rows: expected.filter((row) => row !== maxMark),
+          })
+        );
+        assert.deepEqual(Object.keys(saved.tabs), [
+          "gradeBoundaries",
+          "allScores",
+        ]);
+      }
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+);
+
+test(
+  "a subject-filtered run leaves its session for a later full run",
+  { skip: SKIP },
+  async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-test-"));
+    const session = "October 2023";
+    const config = {
+      ...DEFAULT_CONFIG,
+      qualifications: [QUALIFICATION],
+      sessions: [session],
+      baseUrl: site.url,
+      outputDir,
+      browserArgs: BROWSER_ARGS,
+      rateLimit: 0,
+      retries: 0,
+      waits: WAITS,
+    };
+    const readProgress = async () =>
+      JSON.parse(
+        await fs.readFile(path.join(outputDir, "data", "progress.json"), "utf8")
+      );
+
+    try {
+      await scrapeSeries({ ...config, subjects: ["Physics"] });
+
+      let progress = await readProgress();
+      assert.deepEqual(
+        Object.keys(progress.completed[QUALIFICATION][session]),
+        ["Physics (2018)"]
+      );
+      // Economics was never looked at, so the session is not complete
+      assert.equal(progress.completedSessions[QUALIFICATION], undefined);
+
+      await scrapeSeries({ ...config, subjects: [] });
+
+      progress = await readProgress();
+      assert.deepEqual(
+        progress.completed[QUALIFICATION][session]["Economics (2018)"],
+        ["WEC11/01 - Markets in action"]
+      );
+      assert.deepEqual(progress.completedSessions[QUALIFICATION], [session]);
+    } finally {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+);
+
+test(
+  "a recorded run replays with the site offline",
+  { skip: SKIP },
+  async () => {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-replay-"));
+    const recordingDir = path.join(workDir, "recording");
+    const recordedSite = await startMockSite();
+    const config = {
+      ...DEFAULT_CONFIG,
+      qualifications: [QUALIFICATION],
+      subjects: [],
+      browserArgs: BROWSER_ARGS,
+      rateLimit: 0,
+      retries: 0,
+      waits: WAITS,
+    };
+
+    try {
+      await scrapeSeries({
+        ...config,
+        baseUrl: recordedSite.url,
+        outputDir: path.join(workDir, "live"),
+        record: recordingDir,
+      });
+      await recordedSite.close();
+
+      const { session, subject, unit } = fixtureUnits()[0];
+      const unitDir = path.join(
+        recordingDir,
+        "units",
+        QUALIFICATION.replace(/\s+/g, "_"),
+        session.replace(/\s+/g, "_"),
+        subject.replace(/\s+/g, "_"),
+        unit.replace(/\//g, "-").replace(/\s+/g, "_")
+      );
+      const recorded = await fs.readdir(unitDir);
+      assert.ok(recorded.includes("screenshot.png"));
+      assert.ok(
+        recorded.some((name) => name.endsWith("-conversion-view.html"))
+      );
+
+      // Nothing is listening at the recorded URL any more, so every answer comes from the recording
+      await scrapeSeries({ ...config, replay: recordingDir });
+
+      const progress = JSON.parse(
+        await fs.readFile(
+          path.join(recordingDir, "replay-output", "data", "progress.json"),
+          "utf8"
+        )
+      );
+      assert.deepEqual(progress.failed, {});
+      for (const fixture of fixtureUnits()) {
+        assert.ok(
+          progress.completed[QUALIFICATION][fixture.session][
+            fixture.subject
+          ].includes(fixture.unit)
+        );
+      }
+    } finally {
+      await recordedSite.close();
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+);
+
+test(
+  "a failed unit leaves diagnostics linked from its tracker entry",
+  { skip: SKIP },
+  async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-fail-"));
+    const { session, subject, unit } = fixtureUnits()[0];
+    const failingSite = await startMockSite({ failUnits: [unit] });
+
+    try {
+      await scrapeSeries({
+        ...DEFAULT_CONFIG,
+        qualifications: [QUALIFICATION],
+        subjects: [subject],
+        sessions: [session],
+        units: [unit],
+        baseUrl: failingSite.url,
+        outputDir,
+        browserArgs: BROWSER_ARGS,
+        rateLimit: 0,
+        retries: 1,
+        retryDelay: 0,
+        // The unit's conversion view never appears, so give up on it quickly
+        waits: { ...WAITS, timeout: 2000 },
+      });
+
+      const progress = JSON.parse(
+        await fs.readFile(path.join(outputDir, "data", "progress.json"), "utf8")
+      );
+      const failure = progress.failed[QUALIFICATION][session][subject][unit];
+      assert.equal(failure.step, "select unit");
+      assert.equal(failure.attempts, 2);
+      assert.ok(failure.diagnostics);
+
+      // Only the final attempt leaves diagnostics
+      const diagnosticsDir = path.join(outputDir, failure.diagnostics);
+      assert.deepEqual(await fs.readdir(path.dirname(diagnosticsDir)), [
+        path.basename(diagnosticsDir),
+      ]);
+      const files = await fs.readdir(diagnosticsDir);
+      for (const file of [
+        "failure.json",
+        "screenshot.png",
+        "page.html",
+        "console.log",
+      ]) {
+        assert.ok(files.includes(file), `diagnostics include ${file}`);
+      }
+
+      const report = JSON.parse(
+        await fs.readFile(path.join(diagnosticsDir, "failure.json"), "utf8")
+      );
+      assert.equal(report.error, failure.error);
+      assert.equal(report.attempt, 2);
+      assert.equal(report.step, "select unit");
+      assert.deepEqual(report.captureErrors, {});
+      assert.match(
+        await fs.readFile(path.join(diagnosticsDir, "page.html"), "utf8"),
+        /gcstep4/
+      );
+    } finally {
+      await failingSite.close();
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+);
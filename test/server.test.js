@@ -0,0 +1,103 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { summariseData } = require("../modules/dataProcessor");
+const { watchUnits, createServer } = require("../modules/server");
+
+let server;
+let baseUrl;
+let tmpDir;
+
+const ROWS = [
+  { RAW: 2, UMS: 100, GRADE: "A" },
+  { RAW: 1, UMS: 50, GRADE: "C" },
+  { RAW: 0, UMS: 0, GRADE: "U" },
+];
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-serve-"));
+  const { dataRows, summary } = summariseData(ROWS);
+  const units = [
+    {
+      file: "data/WPH11-01.json",
+      qualificationType: "International A Level",
+      session: "June 2024",
+      subject: "Physics",
+      unit: "WPH11/01 - Mechanics",
+      unitCode: "WPH11-01",
+      metadata: { timestamp: "2024-08-01T00:00:00.000Z" },
+      rows: dataRows,
+      summary,
+    },
+  ];
+  server = createServer(async () => units);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("listing routes decode their path segments", async () => {
+  const res = await fetch(`${baseUrl}/units/June%202024/Physics`);
+  assert.equal(res.status, 200);
+  const units = await res.json();
+  assert.deepEqual(
+    units.map((unit) => unit.unitCode),
+    ["WPH11-01"]
+  );
+});
+
+test("a malformed path segment is a bad request", async () => {
+  const res = await fetch(`${baseUrl}/units/%E0`);
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: "Malformed path segment %E0" });
+});
+
+test("a repeated request with the same ETag is not modified", async () => {
+  const url = `${baseUrl}/convert?unit=WPH11&session=June_2024&ums=40`;
+  const first = await fetch(url);
+  assert.equal(first.status, 200);
+  assert.equal((await first.json()).RAW, 1);
+
+  const second = await fetch(url, {
+    headers: { "If-None-Match": first.headers.get("etag") },
+  });
+  assert.equal(second.status, 304);
+});
+
+test("units are reloaded when a unit file changes", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const subjectDir = path.join(
+    tmpDir,
+    "International_A_Level",
+    "June_2024",
+    "Physics"
+  );
+  await fs.mkdir(subjectDir, { recursive: true });
+  const writeUnit = (file, timestamp) =>
+    fs.writeFile(
+      path.join(subjectDir, file),
+      JSON.stringify({ metadata: { timestamp }, data: ROWS }),
+      "utf8"
+    );
+  await writeUnit("WPH11-01.json", "2024-08-01T00:00:00.000Z");
+
+  const currentUnits = await watchUnits(tmpDir, 0);
+  assert.equal((await currentUnits()).length, 1);
+
+  await writeUnit("WPH11-01.json", "2024-09-01T00:00:00.000Z");
+  await writeUnit("WPH12-01.json", "2024-09-01T00:00:00.000Z");
+  const units = await currentUnits();
+  assert.deepEqual(
+    units.map((unit) => [unit.unitCode, unit.metadata.timestamp]),
+    [
+      ["WPH11-01", "2024-09-01T00:00:00.000Z"],
+      ["WPH12-01", "2024-09-01T00:00:00.000Z"],
+    ]
+  );
+});
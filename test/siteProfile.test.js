@@ -0,0 +1,152 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  siteProfile,
+  loadSiteProfile,
+  configureSiteProfile,
+  primarySelector,
+} = require("../modules/siteProfile");
+const DEFAULT_PROFILE = require("../profiles/pearson.json");
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-profile-"));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("the Pearson profile is used when none is given, with its patterns compiled", async () => {
+  const profile = await loadSiteProfile();
+
+  assert.deepEqual(profile.selectors, DEFAULT_PROFILE.selectors);
+  assert.ok(profile.sessionPattern.test("June 2024"));
+  assert.equal(profile.sessionPattern.test("june 2024"), false);
+  // The All Scores label is matched whatever its case
+  assert.ok(profile.allScoresTab.label.test("All Scores"));
+});
+
+test("overrides replace only the keys and selector parts they give", async () => {
+  const profile = await loadSiteProfile({
+    name: "Mirror site",
+    sessionPattern: "^(Summer|Winter) \\d{4}$",
+    selectors: { sessions: [".sessions a"] },
+    allScoresTab: { label: "^every mark$" },
+    columns: { GRADE: 3 },
+  });
+
+  assert.equal(profile.name, "Mirror site");
+  assert.ok(profile.sessionPattern.test("Summer 2024"));
+  assert.equal(profile.sessionPattern.test("June 2024"), false);
+  assert.deepEqual(profile.selectors.sessions, [".sessions a"]);
+  assert.deepEqual(
+    profile.selectors.subjects,
+    DEFAULT_PROFILE.selectors.subjects
+  );
+  assert.ok(profile.allScoresTab.label.test("Every Mark"));
+  assert.deepEqual(
+    profile.allScoresTab.selectors,
+    DEFAULT_PROFILE.allScoresTab.selectors
+  );
+  assert.deepEqual(profile.columns, { RAW: 0, UMS: 1, GRADE: 3 });
+  assert.equal(profile.qualificationUrl, DEFAULT_PROFILE.qualificationUrl);
+});
+
+test("each invalid profile value is rejected with a message naming it", async () => {
+  const cases = [
+    [
+      { selectors: { sessions: ".sessions a" } },
+      "selectors.sessions in site profile must be a non-empty list of selectors",
+    ],
+    [
+      { selectors: { units: [] } },
+      "selectors.units in site profile must be a non-empty list of selectors",
+    ],
+    [
+      { selectors: { tabs: ["#gcstep5 a", 3] } },
+      "selectors.tabs in site profile must be a non-empty list of selectors",
+    ],
+    [
+      { allScoresTab: { selectors: "#gcstep5 a" } },
+      "allScoresTab.selectors in site profile must be a list of selectors",
+    ],
+    [
+      { columns: { RAW: -1 } },
+      "columns.RAW in site profile must be a column position, got -1",
+    ],
+    [
+      { columns: { UMS: "1" } },
+      "columns.UMS in site profile must be a column position, got 1",
+    ],
+    [
+      { qualificationUrl: "{baseUrl}#gcstep1" },
+      "qualificationUrl in site profile must contain {qualification}",
+    ],
+  ];
+
+  for (const [overrides, message] of cases) {
+    await assert.rejects(loadSiteProfile(overrides), { message });
+  }
+  await assert.rejects(
+    loadSiteProfile({ sessionPattern: "^(June|January" }),
+    /^Error: Invalid sessionPattern in site profile: /
+  );
+  await assert.rejects(
+    loadSiteProfile({ allScoresTab: { label: "[all" } }),
+    /^Error: Invalid allScoresTab.label in site profile: /
+  );
+});
+
+test("a profile file is read and merged, and a bad file names itself", async () => {
+  const file = path.join(tmpDir, "mirror.json");
+  await fs.writeFile(
+    file,
+    JSON.stringify({ selectors: { units: [".units a"] } }),
+    "utf8"
+  );
+  const profile = await loadSiteProfile(file);
+  assert.deepEqual(profile.selectors.units, [".units a"]);
+  assert.deepEqual(
+    profile.selectors.sessions,
+    DEFAULT_PROFILE.selectors.sessions
+  );
+
+  const broken = path.join(tmpDir, "broken.json");
+  await fs.writeFile(broken, '{"selectors": ', "utf8");
+  await assert.rejects(
+    loadSiteProfile(broken),
+    new RegExp(`^Error: Invalid site profile ${broken}: `)
+  );
+
+  const invalid = path.join(tmpDir, "invalid.json");
+  await fs.writeFile(invalid, '{"selectors": {"units": []}}', "utf8");
+  await assert.rejects(loadSiteProfile(invalid), {
+    message: `Invalid site profile ${invalid}: selectors.units in site profile must be a non-empty list of selectors`,
+  });
+
+  await assert.rejects(
+    loadSiteProfile(path.join(tmpDir, "missing.json")),
+    /^Error: Could not read site profile .*missing\.json: /
+  );
+});
+
+test("a configured profile is used for the rest of the run", async () => {
+  try {
+    configureSiteProfile(
+      await loadSiteProfile({ selectors: { sessions: [".sessions a", "a"] } })
+    );
+    assert.equal(primarySelector("sessions"), ".sessions a");
+    assert.deepEqual(siteProfile.selectors.sessions, [".sessions a", "a"]);
+  } finally {
+    configureSiteProfile(await loadSiteProfile());
+  }
+  assert.equal(
+    primarySelector("sessions"),
+    DEFAULT_PROFILE.selectors.sessions[0]
+  );
+});
@@ -0,0 +1,162 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const {
+  configureStorage,
+  snapshotDir,
+  hasSnapshots,
+  recordVersion,
+  rollbackUnit,
+} = require("../modules/snapshots");
+
+let tmpDir;
+let dataFile;
+
+/**
+ * Build unit file contents
+ * @param {number} ums - UMS of the single row, to tell versions apart
+ * @returns {Object} - Unit file contents
+ */
+function unitContents(ums) {
+  return {
+    metadata: { unit: "WPH11/01 - Mechanics", session: "June 2024" },
+    data: [{ RAW: 0, UMS: ums, GRADE: "U" }],
+  };
+}
+
+/**
+ * Read a unit's manifest
+ * @returns {Object} - Manifest
+ */
+async function readManifest() {
+  return JSON.parse(
+    await fs.readFile(path.join(snapshotDir(dataFile), "manifest.json"), "utf8")
+  );
+}
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "scraper-snapshots-"));
+  configureStorage(tmpDir);
+  dataFile = path.join(tmpDir, "data", "IAL", "June_2024", "Physics", "U.json");
+  await fs.mkdir(path.dirname(dataFile), { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+test("snapshots mirror the unit's place under data/", () => {
+  assert.equal(
+    snapshotDir(dataFile),
+    path.join(tmpDir, "snapshots", "IAL", "June_2024", "Physics", "U")
+  );
+  assert.throws(
+    () => snapshotDir(path.join(tmpDir, "quarantine", "U.json")),
+    /is not a unit file under/
+  );
+});
+
+test("a version is stored once and each scrape of it is an event", async () => {
+  assert.equal(await hasSnapshots(dataFile), false);
+
+  const first = await recordVersion(
+    dataFile,
+    "aaa111",
+    unitContents(0),
+    "new",
+    "2024-08-01T00:00:00.000Z"
+  );
+  assert.equal(path.basename(first.snapshotPath), "aaa111.json");
+  // A later scrape with the same hash does not rewrite the snapshot
+  await recordVersion(
+    dataFile,
+    "aaa111",
+    unitContents(99),
+    "unchanged",
+    "2024-09-01T00:00:00.000Z"
+  );
+
+  assert.equal(await hasSnapshots(dataFile), true);
+  assert.deepEqual(
+    JSON.parse(await fs.readFile(first.snapshotPath, "utf8")),
+    unitContents(0)
+  );
+  assert.deepEqual(await readManifest(), {
+    current: "aaa111",
+    versions: {
+      aaa111: {
+        file: "aaa111.json",
+        firstSeen: "2024-08-01T00:00:00.000Z",
+        lastSeen: "2024-09-01T00:00:00.000Z",
+      },
+    },
+    events: [
+      { timestamp: "2024-08-01T00:00:00.000Z", event: "new", hash: "aaa111" },
+      {
+        timestamp: "2024-09-01T00:00:00.000Z",
+        event: "unchanged",
+        hash: "aaa111",
+      },
+    ],
+  });
+});
+
+test("rolling back restores the previous version and records it", async () => {
+  await recordVersion(dataFile, "aaa111", unitContents(0), "new", "t1");
+  await recordVersion(dataFile, "bbb222", unitContents(1), "changed", "t2");
+  await fs.writeFile(dataFile, JSON.stringify(unitContents(1)), "utf8");
+
+  assert.deepEqual(await rollbackUnit(dataFile), {
+    from: "bbb222",
+    to: "aaa111",
+  });
+  assert.deepEqual(
+    JSON.parse(await fs.readFile(dataFile, "utf8")),
+    unitContents(0)
+  );
+
+  const manifest = await readManifest();
+  assert.equal(manifest.current, "aaa111");
+  assert.equal(manifest.events.at(-1).event, "rollback");
+  // Rolling back is not a sighting of the old version on the site
+  assert.equal(manifest.versions.aaa111.lastSeen, "t1");
+
+  const changelog = await fs.readFile(
+    path.join(tmpDir, "data", "changelog.jsonl"),
+    "utf8"
+  );
+  const entry = JSON.parse(changelog.trim());
+  assert.equal(entry.event, "rollback");
+  assert.equal(entry.previousHash, "bbb222");
+  assert.equal(
+    entry.snapshot,
+    path.join("snapshots", "IAL", "June_2024", "Physics", "U", "aaa111.json")
+  );
+
+  // Rolling back again returns to the newer version
+  assert.deepEqual(await rollbackUnit(dataFile), {
+    from: "aaa111",
+    to: "bbb222",
+  });
+});
+
+test("a version can be chosen by a unique hash prefix", async () => {
+  await recordVersion(dataFile, "abc111", unitContents(0), "new", "t1");
+  await recordVersion(dataFile, "abd222", unitContents(1), "changed", "t2");
+  await recordVersion(dataFile, "fff333", unitContents(2), "changed", "t3");
+
+  assert.deepEqual(await rollbackUnit(dataFile, "abc"), {
+    from: "fff333",
+    to: "abc111",
+  });
+  await assert.rejects(rollbackUnit(dataFile, "ab"), /matches several/);
+  await assert.rejects(rollbackUnit(dataFile, "999"), /No version 999/);
+});
+
+test("a unit needs an earlier version to roll back to", async () => {
+  await assert.rejects(rollbackUnit(dataFile), /No snapshots recorded/);
+  await recordVersion(dataFile, "aaa111", unitContents(0), "new", "t1");
+  await assert.rejects(rollbackUnit(dataFile), /no earlier version/);
+});
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateTable } = require("../modules/validator");
+
+/**
+ * Build a table from parallel UMS and grade lists, RAW counting up from 0
+ * @param {Array} ums - UMS of each raw mark
+ * @param {Array} grades - Grade of each raw mark
+ * @returns {Array} - RAW/UMS/GRADE rows
+ */
+function table(ums, grades) {
+  return ums.map((value, raw) => ({
+    RAW: raw,
+    UMS: value,
+    GRADE: grades[raw],
+  }));
+}
+
+test("a complete, ordered table has no problems", () => {
+  const rows = table([0, 10, 20, 30, 40], ["U", "E", "C", "A", "A*"]);
+  assert.deepEqual(validateTable(rows), []);
+  // Row order does not matter
+  assert.deepEqual(validateTable([...rows].reverse()), []);
+});
+
+test("an empty table is reported", () => {
+  assert.deepEqual(validateTable([]), ["Table has no rows"]);
+});
+
+test("RAW must run from 0 without gaps or repeats", () => {
+  const gaps = table([0, 10, 20, 30], ["U", "E", "D", "C"]).filter(
+    (row) => row.RAW !== 1 && row.RAW !== 2
+  );
+  assert.deepEqual(validateTable(gaps), [
+    "RAW is not contiguous from 0 to 3, missing: 1, 2",
+  ]);
+
+  const repeated = [
+    ...table([0, 10], ["U", "E"]),
+    { RAW: 1, UMS: 10, GRADE: "E" },
+  ];
+  assert.deepEqual(validateTable(repeated), ["Duplicate RAW values: 1"]);
+});
+
+test("long lists of missing marks are shortened", () => {
+  const rows = [
+    { RAW: 0, UMS: 0, GRADE: "U" },
+    { RAW: 10, UMS: 50, GRADE: "E" },
+  ];
+  assert.deepEqual(validateTable(rows), [
+    "RAW is not contiguous from 0 to 10, missing: 1, 2, 3, 4, 5 and 4 more",
+  ]);
+});
+
+test("UMS must not fall as RAW rises", () => {
+  const rows = table([0, 20, 15, 30], ["U", "E", "E", "D"]);
+  assert.deepEqual(validateTable(rows), [
+    "UMS decreases as RAW increases at RAW 2 (20 -> 15)",
+  ]);
+});
+
+test("grades must come from one known scale, in order", () => {
+  assert.deepEqual(validateTable(table([0, 10, 20], ["U", "E", "Z"])), [
+    "Unrecognised grades: U, E, Z",
+  ]);
+  // Letter grades and numbered grades cannot be mixed
+  assert.deepEqual(validateTable(table([0, 10, 20], ["U", "E", "9"])), [
+    "Unrecognised grades: U, E, 9",
+  ]);
+  assert.deepEqual(
+    validateTable(table([0, 10, 20, 30], ["U", "C", "D", "B"])),
+    ["Grades out of order at RAW 2 (C -> D)"]
+  );
+});
+
+test("every known grade scale is accepted, with A* and * the same grade", () => {
+  const rows = table([0, 10, 20, 30], ["U", "A", "*", "A*"]);
+  assert.deepEqual(validateTable(rows), []);
+  assert.deepEqual(validateTable(table([0, 10, 20], ["U", "G", "F"])), []);
+  assert.deepEqual(validateTable(table([0, 10, 20], ["U", "1", "9"])), []);
+});
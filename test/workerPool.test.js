@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { WorkerPool, RateLimiter } = require("../modules/workerPool");
+
+/**
+ * Create a promise that is settled from outside
+ * @returns {Object} - { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test("no more jobs run at once than there are workers, started in queue order", async () => {
+  const pool = new WorkerPool([{ id: 1 }, { id: 2 }]);
+  const gates = [1, 2, 3, 4, 5].map(() => deferred());
+  const started = [];
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = gates.map((gate, index) =>
+    pool.run(async (worker) => {
+      started.push(index);
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await gate.promise;
+      running--;
+      return worker.id;
+    })
+  );
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(started, [0, 1]);
+
+  // Finishing the second job frees its worker for the third
+  gates[1].resolve();
+  assert.equal(await results[1], 2);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(started, [0, 1, 2]);
+
+  for (const gate of gates) gate.resolve();
+  await Promise.all(results);
+  assert.deepEqual(started, [0, 1, 2, 3, 4]);
+  assert.equal(mostRunning, 2);
+});
+
+test("each job's promise gets its own result, whatever order they finish in", async () => {
+  const pool = new WorkerPool([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  const delays = [30, 5, 15];
+
+  const results = await Promise.all(
+    delays.map((delay, index) =>
+      pool.run(async () => {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return `job ${index}`;
+      })
+    )
+  );
+  assert.deepEqual(results, ["job 0", "job 1", "job 2"]);
+});
+
+test("a failing job rejects only its own promise and frees its worker", async () => {
+  const pool = new WorkerPool([{ id: 1 }]);
+
+  const failing = pool.run(async () => {
+    throw new Error("unit failed");
+  });
+  const throwing = pool.run(() => {
+    throw new Error("thrown before any await");
+  });
+  const next = pool.run(async (worker) => `worker ${worker.id}`);
+
+  await assert.rejects(failing, /unit failed/);
+  await assert.rejects(throwing, /thrown before any await/);
+  assert.equal(await next, "worker 1");
+  // The worker goes back to the idle list once its last job has settled
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(pool.idle, [{ id: 1 }]);
+});
+
+test("the rate limiter spaces actions by its interval across callers", async () => {
+  const limiter = new RateLimiter(40);
+  const times = [];
+
+  await Promise.all(
+    [1, 2, 3].map(async () => {
+      await limiter.wait();
+      times.push(Date.now());
+    })
+  );
+
+  times.sort((a, b) => a - b);
+  for (let i = 1; i < times.length; i++) {
+    // Timers can fire a millisecond or so either side of the slot
+    assert.ok(times[i] - times[i - 1] >= 35, `gap ${times[i] - times[i - 1]}`);
+  }
+});
+
+test("a rate limit of 0 never waits", async () => {
+  const limiter = new RateLimiter(0);
+  const start = Date.now();
+  for (let i = 0; i < 5; i++) {
+    await limiter.wait();
+  }
+  assert.ok(Date.now() - start < 20);
+});